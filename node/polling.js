@@ -0,0 +1,151 @@
+// Node.js 长轮询运行时：通过 getUpdates 接收更新，无需公网地址和Webhook，适合在防火墙后或本地运行
+// 更新处理逻辑与 Cloudflare Workers 部署共用 src/core.js，KV 存储由 FileStorage 代替
+//
+// 运行: node node/polling.js（环境变量与 Workers 部署相同，Node 20.6+ 可使用 node --env-file=.env node/polling.js）
+// STORAGE_PATH: 存储文件路径 (可选，默认 data/storage.json)
+
+import { processUpdate, isDuplicateUpdate, handleScheduled, registerBotCommands } from '../src/core.js'
+import { FileStorage } from './storage.js'
+
+// Node 18 没有全局 crypto，src/core.js 的签名函数依赖 crypto.subtle
+if (!globalThis.crypto) {
+  globalThis.crypto = (await import('node:crypto')).webcrypto
+}
+
+// getUpdates 长轮询的等待时间（秒），以及网络错误后的重试间隔
+const POLL_TIMEOUT_SECONDS = 30
+const RETRY_DELAY_MS = 5000
+
+// 定时任务的执行间隔，与 wrangler.toml 中每分钟一次的 Cron Trigger 一致
+const SCHEDULE_INTERVAL_MS = 60 * 1000
+
+// 只接收机器人处理的更新类型
+const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query']
+
+// 保存 getUpdates offset 的存储键，重启后从上次确认的位置继续
+const OFFSET_KEY = 'polling_offset'
+
+// 调用Telegram Bot API，失败时抛出带 errorCode 和 retryAfter 的错误
+async function callBotAPI(method, params, botToken, signal) {
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
+    signal
+  })
+  const data = await response.json()
+
+  if (!data.ok) {
+    const error = new Error(`Telegram API ${method} 失败: ${data.description}`)
+    error.errorCode = data.error_code
+    error.retryAfter = data.parameters?.retry_after
+    throw error
+  }
+  return data.result
+}
+
+// 从环境变量构建 env：与 Workers 的环境变量同名，USER_STORAGE 使用文件存储
+function createEnv() {
+  const env = { ...process.env }
+  env.USER_STORAGE = new FileStorage(process.env.STORAGE_PATH || 'data/storage.json')
+  return env
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+async function main() {
+  const env = createEnv()
+  if (!env.BOT_TOKEN || !env.ADMIN_CHAT_ID) {
+    console.error(`缺少必需的环境变量: ${!env.BOT_TOKEN ? 'BOT_TOKEN' : 'ADMIN_CHAT_ID'}`)
+    process.exit(1)
+  }
+
+  // 已设置Webhook时 getUpdates 不可用，先删除Webhook（保留未处理的更新）
+  await callBotAPI('deleteWebhook', { drop_pending_updates: false }, env.BOT_TOKEN)
+  const me = await callBotAPI('getMe', {}, env.BOT_TOKEN)
+  console.log(`长轮询已启动: @${me.username}`)
+
+  // 没有 /setMyCommands 端点可调用，启动时注册命令菜单
+  const commandsResult = await registerBotCommands(env)
+  if (!commandsResult.ok) console.error('注册命令菜单失败:', commandsResult)
+
+  // 与 Workers 一样并发处理更新（相册各项需要同时处理才能合并），退出前等待处理完成
+  const pending = new Set()
+  const track = promise => {
+    pending.add(promise)
+    promise.finally(() => pending.delete(promise))
+  }
+
+  // 定时任务：触发到期的定时群发，继续执行未完成的群发任务；上一次未结束时跳过
+  let scheduledRunning = false
+  const runScheduled = async () => {
+    if (scheduledRunning) return
+    scheduledRunning = true
+    try {
+      await handleScheduled({ cron: '* * * * *', scheduledTime: Date.now() }, env)
+    } finally {
+      scheduledRunning = false
+    }
+  }
+  const scheduleTimer = setInterval(() => track(runScheduled()), SCHEDULE_INTERVAL_MS)
+
+  let stopping = false
+  const abortController = new AbortController()
+  const stop = async () => {
+    if (stopping) return
+    stopping = true
+    console.log('正在停止，等待处理中的更新完成...')
+    clearInterval(scheduleTimer)
+    abortController.abort()
+    await Promise.allSettled([...pending])
+    await env.USER_STORAGE.flush()
+    process.exit(0)
+  }
+  process.on('SIGINT', stop)
+  process.on('SIGTERM', stop)
+
+  // 每次请求以上一批最后的 update_id + 1 作为 offset，Telegram在下一次请求时才丢弃已确认的更新
+  let offset = parseInt(await env.USER_STORAGE.get(OFFSET_KEY) || '', 10) || undefined
+  while (!stopping) {
+    let updates
+    try {
+      updates = await callBotAPI('getUpdates', {
+        offset,
+        timeout: POLL_TIMEOUT_SECONDS,
+        allowed_updates: ALLOWED_UPDATES
+      }, env.BOT_TOKEN, abortController.signal)
+    } catch (error) {
+      if (stopping) break
+
+      // 409：其他实例正在轮询或Webhook被重新设置
+      const delay = error.retryAfter ? error.retryAfter * 1000 : RETRY_DELAY_MS
+      console.error(`获取更新失败，${delay / 1000} 秒后重试:`, error.message)
+      await sleep(delay)
+      continue
+    }
+
+    // 与Webhook一样先记录更新ID，并在处理前把 offset 写回文件：进程中途退出后重启时不会再次处理上一批更新
+    const newUpdates = []
+    for (const update of updates) {
+      offset = update.update_id + 1
+      if (await isDuplicateUpdate(update.update_id, env)) {
+        console.log(`跳过重复的更新: ${update.update_id}`)
+      } else {
+        newUpdates.push(update)
+      }
+    }
+    if (updates.length > 0) {
+      await env.USER_STORAGE.put(OFFSET_KEY, offset.toString())
+      await env.USER_STORAGE.flush().catch(error => console.error('写入存储文件失败:', error))
+    }
+
+    for (const update of newUpdates) {
+      track(processUpdate(update, env))
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('长轮询运行时启动失败:', error)
+  process.exit(1)
+})
@@ -0,0 +1,157 @@
+// 存储适配器：在Cloudflare Workers之外运行时代替 KV 绑定 env.USER_STORAGE
+//
+// 机器人（worker.js 和 src/core.js）只使用 Workers KV 接口的以下子集，任何实现了这些方法的对象都可以作为 USER_STORAGE：
+// get(key, options)              返回字符串，options 为 'json' 或 { type: 'json' } 时返回解析后的对象，不存在时返回 null
+// getWithMetadata(key, options)  返回 { value, metadata }
+// put(key, value, options)       options 可包含 expirationTtl（秒）、expiration（Unix时间戳，秒）和 metadata
+// delete(key)
+// list({ prefix, limit, cursor }) 返回 { keys: [{ name, expiration, metadata }], list_complete, cursor }，按键名排序
+//
+// FileStorage 将数据保存在一个JSON文件中，适合单进程运行的长轮询模式
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+
+// 写入后延迟合并写回文件的时间
+const FLUSH_DELAY_MS = 500
+
+// list 每页默认和最多返回的键数量，与 Workers KV 一致
+const LIST_LIMIT = 1000
+
+// 基于JSON文件的KV存储：数据常驻内存，写入后合并延迟写回文件（先写临时文件再重命名，避免写入中断损坏数据）
+export class FileStorage {
+  constructor(filePath, { flushDelayMs = FLUSH_DELAY_MS } = {}) {
+    this.filePath = filePath
+    this.flushDelayMs = flushDelayMs
+    this.entries = null
+    this.loading = null
+    this.flushTimer = null
+    this.writing = Promise.resolve()
+  }
+
+  // 首次访问时从文件加载数据，文件不存在时从空数据开始
+  async load() {
+    if (this.entries) return this.entries
+
+    this.loading ||= (async () => {
+      try {
+        const data = JSON.parse(await readFile(this.filePath, 'utf8'))
+        this.entries = new Map(Object.entries(data))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+        this.entries = new Map()
+      }
+      return this.entries
+    })()
+    return await this.loading
+  }
+
+  // 读取未过期的条目，过期条目在读取时删除
+  async getEntry(key) {
+    const entries = await this.load()
+    const entry = entries.get(key)
+    if (!entry) return null
+
+    if (isExpired(entry)) {
+      entries.delete(key)
+      this.scheduleFlush()
+      return null
+    }
+    return entry
+  }
+
+  async get(key, options) {
+    const entry = await this.getEntry(key)
+    return entry ? parseValue(entry.value, options) : null
+  }
+
+  async getWithMetadata(key, options) {
+    const entry = await this.getEntry(key)
+    return entry
+      ? { value: parseValue(entry.value, options), metadata: entry.metadata ?? null }
+      : { value: null, metadata: null }
+  }
+
+  async put(key, value, { expirationTtl, expiration, metadata } = {}) {
+    const entries = await this.load()
+    const entry = { value: String(value) }
+    if (expirationTtl) {
+      entry.expiration = Math.floor(Date.now() / 1000) + Number(expirationTtl)
+    } else if (expiration) {
+      entry.expiration = Number(expiration)
+    }
+    if (metadata !== undefined) entry.metadata = metadata
+
+    entries.set(key, entry)
+    this.scheduleFlush()
+  }
+
+  async delete(key) {
+    const entries = await this.load()
+    if (entries.delete(key)) this.scheduleFlush()
+  }
+
+  // 游标为上一页最后一个键名，翻页期间写入的键不会导致重复或遗漏已列出的键
+  async list({ prefix = '', limit = LIST_LIMIT, cursor } = {}) {
+    const entries = await this.load()
+    const pageSize = Math.min(Math.max(1, limit), LIST_LIMIT)
+
+    const names = [...entries.keys()]
+      .filter(name => name.startsWith(prefix) && (!cursor || name > cursor) && !isExpired(entries.get(name)))
+      .sort()
+    const page = names.slice(0, pageSize)
+    const listComplete = names.length <= pageSize
+
+    return {
+      keys: page.map(name => {
+        const { expiration, metadata } = entries.get(name)
+        return { name, ...(expiration ? { expiration } : {}), ...(metadata !== undefined ? { metadata } : {}) }
+      }),
+      list_complete: listComplete,
+      ...(listComplete ? {} : { cursor: page[page.length - 1] })
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.flush().catch(error => console.error('写入存储文件失败:', error))
+    }, this.flushDelayMs)
+  }
+
+  // 立即写回文件（退出前调用），写入按顺序进行，写入时清除已过期的条目
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+    if (!this.entries) return
+
+    // 上一次写入失败不影响本次写入
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      for (const [key, entry] of this.entries) {
+        if (isExpired(entry)) this.entries.delete(key)
+      }
+
+      const tempPath = `${this.filePath}.tmp`
+      await mkdir(dirname(this.filePath), { recursive: true })
+      await writeFile(tempPath, JSON.stringify(Object.fromEntries(this.entries)))
+      await rename(tempPath, this.filePath)
+    })
+    return await this.writing
+  }
+}
+
+// 条目是否已过期（expiration 为Unix时间戳，单位秒）
+function isExpired(entry) {
+  return !!entry.expiration && entry.expiration * 1000 <= Date.now()
+}
+
+// 按 get 的 type 选项返回值，只支持 text（默认）和 json
+function parseValue(value, options) {
+  const type = typeof options === 'string' ? options : options?.type
+  if (type === 'json') return JSON.parse(value)
+  if (type && type !== 'text') throw new TypeError(`FileStorage 不支持的读取类型: ${type}`)
+  return value
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import { processUpdate, isDuplicateUpdate } from '../src/core.js'
+import { FileStorage } from './storage.js'
+import { mockTelegram, createEnv, userMessage, toUpdate, ADMIN_CHAT_ID } from '../src/testing.js'
+
+const telegram = mockTelegram()
+
+// 与长轮询运行时一样使用文件存储，处理一条用户消息
+test('长轮询运行时：核心模块通过 FileStorage 处理用户消息并写回文件', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'cftgsx-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  const filePath = join(dir, 'storage.json')
+  const env = createEnv({ USER_STORAGE: new FileStorage(filePath, { flushDelayMs: 60000 }) })
+  const update = toUpdate(userMessage(42, { text: '你好' }))
+
+  assert.equal(await isDuplicateUpdate(update.update_id, env), false)
+  await processUpdate(update, env)
+  await env.USER_STORAGE.flush()
+
+  const forwarded = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)
+  assert.equal(forwarded.length, 1)
+  assert.match(forwarded[0].params.text, /你好/)
+
+  const saved = JSON.parse(await readFile(filePath, 'utf8'))
+  assert.ok(saved['user:42'], '用户记录写入存储文件')
+  assert.ok(saved[`update:${update.update_id}`], '更新ID写入存储文件')
+
+  // 重启后从文件加载，同一更新被识别为重复
+  const restarted = createEnv({ USER_STORAGE: new FileStorage(filePath) })
+  assert.equal(await isDuplicateUpdate(update.update_id, restarted), true)
+})
+
+test('FileStorage：过期条目不可读，list 按键名分页', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'cftgsx-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  const storage = new FileStorage(join(dir, 'storage.json'), { flushDelayMs: 60000 })
+  await storage.put('a:1', '1', { metadata: { n: 1 } })
+  await storage.put('a:2', '2')
+  await storage.put('a:3', '3', { expiration: Math.floor(Date.now() / 1000) - 1 })
+  await storage.put('b:1', JSON.stringify({ ok: true }))
+
+  assert.equal(await storage.get('a:3'), null)
+  assert.deepEqual(await storage.get('b:1', 'json'), { ok: true })
+  assert.deepEqual(await storage.getWithMetadata('a:1'), { value: '1', metadata: { n: 1 } })
+
+  const first = await storage.list({ prefix: 'a:', limit: 1 })
+  assert.deepEqual(first.keys.map(key => key.name), ['a:1'])
+  assert.equal(first.list_complete, false)
+  const second = await storage.list({ prefix: 'a:', limit: 1, cursor: first.cursor })
+  assert.deepEqual(second.keys.map(key => key.name), ['a:2'])
+  assert.equal(second.list_complete, true)
+  await storage.flush()
+})
@@ -0,0 +1,90 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, adminCallback, sentMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 用户发送消息，返回管理员侧的转发消息（带按钮）
+async function forwardFrom(userId, env) {
+  await processUpdate(toUpdate(userMessage(userId, { text: '你好' })), env)
+  const call = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1)
+  return { ...sentMessage(call), reply_markup: call.params.reply_markup }
+}
+
+// 找到按钮的回调数据
+function buttonData(replyMarkup, text) {
+  return replyMarkup.inline_keyboard.flat().find(button => button.text.includes(text)).callback_data
+}
+
+// 点击转发消息上的按钮，返回按钮更新后的消息
+async function click(forwarded, text, env, fromId = 1) {
+  const callback = adminCallback(buttonData(forwarded.reply_markup, text), fromId, forwarded.message_id)
+  callback.message = forwarded
+  await processUpdate(toUpdate(callback, 'callback_query'), env)
+  const edit = telegram.callsTo('editMessageReplyMarkup').at(-1)
+  return edit ? { ...forwarded, reply_markup: edit.params.reply_markup } : forwarded
+}
+
+// 最后一次按钮回调的应答文本
+function lastAnswer() {
+  return telegram.callsTo('answerCallbackQuery').at(-1).params.text
+}
+
+test('操作按钮：转发消息带有封禁、用户信息、已处理和快速回复按钮', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const forwarded = await forwardFrom(1601, env)
+
+  const texts = forwarded.reply_markup.inline_keyboard.flat().map(button => button.text)
+  assert.deepEqual(texts, ['🚫 封禁', 'ℹ️ 用户信息', '✅ 标记已处理', '💬 快速回复'])
+  assert.ok(forwarded.reply_markup.inline_keyboard.flat().every(button => /^act:\w+:1601:\w+$/.test(button.callback_data)))
+})
+
+test('操作按钮：封禁和标记已处理后更新按钮状态', async () => {
+  telegram.reset()
+  const env = createEnv()
+  let forwarded = await forwardFrom(1602, env)
+
+  forwarded = await click(forwarded, '封禁', env)
+  assert.ok(await env.USER_STORAGE.get('ban:1602'))
+  assert.match(lastAnswer(), /已封禁用户 1602/)
+
+  forwarded = await click(forwarded, '标记已处理', env)
+  const texts = forwarded.reply_markup.inline_keyboard.flat().map(button => button.text)
+  assert.ok(texts.includes('✅ 解除封禁'))
+  assert.ok(texts.includes('☑️ 已处理 (Admin1)'))
+
+  await click(forwarded, '解除封禁', env)
+  assert.equal(await env.USER_STORAGE.get('ban:1602'), null)
+})
+
+test('操作按钮：快速回复的提示消息可直接回复给用户', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const forwarded = await forwardFrom(1603, env)
+
+  await click(forwarded, '快速回复', env)
+  const promptCall = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1)
+  assert.deepEqual(promptCall.params.reply_markup, { force_reply: true })
+
+  await processUpdate(toUpdate(adminMessage({ text: '马上处理', reply_to_message: sentMessage(promptCall) })), env)
+  assert.ok(telegram.callsTo('sendMessage', 1603).some(call => /马上处理/.test(call.params.text)))
+})
+
+test('操作按钮：签名无效的回调和 responder 的封禁操作被拒绝', async () => {
+  telegram.reset()
+  const env = createEnv({ ADMIN_USERS: '1:owner,2:responder' })
+  const forwarded = await forwardFrom(1604, env)
+
+  const forged = adminCallback(buttonData(forwarded.reply_markup, '封禁').replace(':1604:', ':1605:'), 1, forwarded.message_id)
+  forged.message = forwarded
+  await processUpdate(toUpdate(forged, 'callback_query'), env)
+  assert.match(lastAnswer(), /签名无效/)
+  assert.equal(await env.USER_STORAGE.get('ban:1605'), null)
+
+  await click(forwarded, '封禁', env, 2)
+  assert.match(lastAnswer(), /权限不足/)
+  assert.equal(await env.USER_STORAGE.get('ban:1604'), null)
+})
@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+const OWNER_ID = 1
+const RESPONDER_ID = 2
+const ADMIN_USERS = `${OWNER_ID}:owner:老板,${RESPONDER_ID}:responder:客服`
+
+const OWNER_ONLY = [
+  'post', 'cancel', 'recall', 'editpost', 'schedule', 'unschedule',
+  'ban', 'unban', 'verify',
+  'autoreply', 'settext', 'save', 'deltemplate',
+  'tag', 'untag', 'note',
+  'away', 'back'
+]
+const SHARED = ['status', 'help', 'users', 'templates', 'history', 'banned', 'jobs', 'schedules']
+
+// 以指定管理员身份发送命令，返回是否收到权限不足的提示
+async function isDenied(command, fromId, env) {
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: `/${command}` }, fromId)), env)
+  return telegram.callsTo('sendMessage', ADMIN_CHAT_ID).some(call => /权限不足/.test(call.params.text))
+}
+
+test('角色：responder 不能使用修改共享数据的命令', async () => {
+  const env = createEnv({ ADMIN_USERS })
+  for (const command of OWNER_ONLY) {
+    assert.equal(await isDenied(command, RESPONDER_ID, env), true, `/${command} 应拒绝 responder`)
+  }
+})
+
+test('角色：responder 可以使用查看类命令', async () => {
+  const env = createEnv({ ADMIN_USERS })
+  for (const command of SHARED) {
+    assert.equal(await isDenied(command, RESPONDER_ID, env), false, `/${command} 应允许 responder`)
+  }
+})
+
+test('角色：owner 可以使用全部命令', async () => {
+  const env = createEnv({ ADMIN_USERS })
+  for (const command of [...OWNER_ONLY, ...SHARED]) {
+    assert.equal(await isDenied(command, OWNER_ID, env), false, `/${command} 应允许 owner`)
+  }
+})
+
+test('角色：未配置 ADMIN_USERS 时管理员聊天中的所有人都是 owner', async () => {
+  const env = createEnv()
+  assert.equal(await isDenied('save', 12345, env), false)
+})
+
+test('角色：管理员群组中未列入 ADMIN_USERS 的成员被忽略', async () => {
+  const env = createEnv({ ADMIN_USERS })
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: '/status' }, 3)), env)
+  assert.equal(telegram.calls.length, 0)
+})
+
+test('角色：ADMIN_USERS 中的管理员私聊机器人时不按用户消息处理', async () => {
+  const env = createEnv({ ADMIN_USERS, RATE_LIMIT_MAX: '1', ENABLE_VERIFICATION: 'true' })
+  telegram.reset()
+
+  await processUpdate(toUpdate(userMessage(OWNER_ID, { text: '你好' })), env)
+  await processUpdate(toUpdate(userMessage(OWNER_ID, { text: '还在吗' })), env)
+
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 0)
+  const replies = telegram.callsTo('sendMessage', OWNER_ID)
+  assert.equal(replies.length, 2)
+  assert.ok(replies.every(call => /你是管理员/.test(call.params.text)))
+  assert.equal(await env.USER_STORAGE.get(`user:${OWNER_ID}`), null)
+  assert.equal(await env.USER_STORAGE.get(`verify:${OWNER_ID}`), null)
+
+  // 普通用户照常转发
+  await processUpdate(toUpdate(userMessage(300, { text: '你好' })), createEnv({ ADMIN_USERS }))
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 1)
+})
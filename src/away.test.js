@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, isWithinBusinessHours } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+test('工作时间：按星期、时段和时区判断，支持跨夜时段', () => {
+  const env = { BUSINESS_HOURS: 'mon-fri@09:00-18:00,fri@22:00-02:00', BUSINESS_TIMEZONE: 'UTC' }
+  // 2026-01-05 为星期一
+  assert.equal(isWithinBusinessHours(env, Date.UTC(2026, 0, 5, 9, 0)), true)
+  assert.equal(isWithinBusinessHours(env, Date.UTC(2026, 0, 5, 18, 0)), false)
+  assert.equal(isWithinBusinessHours(env, Date.UTC(2026, 0, 10, 12, 0)), false)
+  // 星期五 22:00 开始，星期六 02:00 结束
+  assert.equal(isWithinBusinessHours(env, Date.UTC(2026, 0, 9, 23, 30)), true)
+  assert.equal(isWithinBusinessHours(env, Date.UTC(2026, 0, 10, 1, 59)), true)
+  assert.equal(isWithinBusinessHours(env, Date.UTC(2026, 0, 10, 2, 0)), false)
+
+  // 同一时刻在上海已是星期二
+  assert.equal(isWithinBusinessHours({ ...env, BUSINESS_TIMEZONE: 'Asia/Shanghai' }, Date.UTC(2026, 0, 5, 23, 0)), false)
+  assert.equal(isWithinBusinessHours({}, Date.UTC(2026, 0, 10, 3, 0)), true)
+})
+
+test('工作时间：非工作时间用户收到提示，消息照常转发', async () => {
+  telegram.reset()
+  const otherDay = WEEKDAYS[(new Date().getUTCDay() + 3) % 7]
+  const env = createEnv({ BUSINESS_HOURS: `${otherDay}@09:00-18:00`, BUSINESS_TIMEZONE: 'UTC', OFF_HOURS_NOTICE: '现在是休息时间' })
+
+  await processUpdate(toUpdate(userMessage(1701, { text: '在吗' })), env)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 1)
+  assert.ok(telegram.callsTo('sendMessage', 1701).some(call => call.params.text.includes('现在是休息时间')))
+})
+
+test('离开模式：/away 后用户收到离开提示，/back 汇总离开期间的消息', async () => {
+  telegram.reset()
+  const env = createEnv()
+
+  await processUpdate(toUpdate(adminMessage({ text: '/away 下午开会' })), env)
+  await processUpdate(toUpdate(userMessage(1702, { text: '第一条' })), env)
+  await processUpdate(toUpdate(userMessage(1702, { text: '第二条' })), env)
+  await processUpdate(toUpdate(userMessage(1703, { text: '你好' })), env)
+
+  assert.ok(telegram.callsTo('sendMessage', 1702).some(call => call.params.text.includes('下午开会')))
+  const forwarded = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).filter(call => /来自用户/.test(call.params.text))
+  assert.equal(forwarded.length, 3)
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: '/back' })), env)
+  const summary = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).map(call => call.params.text).join('\n')
+  assert.match(summary, /共收到 2 位用户的 3 条消息/)
+  assert.match(summary, /`1702`\) - 2 条/)
+  assert.equal(await env.USER_STORAGE.get('away_status'), null)
+  assert.equal((await env.USER_STORAGE.list({ prefix: 'awaylog:' })).keys.length, 0)
+
+  // 返回后不再提示
+  telegram.reset()
+  await processUpdate(toUpdate(userMessage(1702, { text: '第三条' })), env)
+  assert.ok(!telegram.callsTo('sendMessage', 1702).some(call => call.params.text.includes('下午开会')))
+})
@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, sentMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 管理员收到的最后一条回复
+function lastAdminReply() {
+  return telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1).params.text
+}
+
+test('封禁：/ban 后用户的消息不再转发，/unban 后恢复', async () => {
+  telegram.reset()
+  const env = createEnv({ BAN_NOTICE: '你已被封禁' })
+
+  await processUpdate(toUpdate(adminMessage({ text: '/ban 801 广告' })), env)
+  assert.match(lastAdminReply(), /已封禁用户 `801`/)
+  const record = await env.USER_STORAGE.get('ban:801', 'json')
+  assert.equal(record.reason, '广告')
+
+  telegram.reset()
+  await processUpdate(toUpdate(userMessage(801, { text: '买吗' })), env)
+  await processUpdate(toUpdate(userMessage(801, { text: '还在吗' })), env)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 0)
+  // 封禁提示只发送一次
+  assert.deepEqual(telegram.callsTo('sendMessage', 801).map(call => call.params.text), ['你已被封禁'])
+
+  await processUpdate(toUpdate(adminMessage({ text: '/unban 801' })), env)
+  assert.match(lastAdminReply(), /已解除用户 `801` 的封禁/)
+
+  telegram.reset()
+  await processUpdate(toUpdate(userMessage(801, { text: '你好' })), env)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 1)
+})
+
+test('封禁：回复转发消息封禁，/banned 列出被封禁的用户', async () => {
+  telegram.reset()
+  const env = createEnv()
+
+  await processUpdate(toUpdate(userMessage(802, { text: '你好' })), env)
+  const forwarded = sentMessage(telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0])
+
+  await processUpdate(toUpdate(adminMessage({ text: '/ban 刷屏', reply_to_message: forwarded })), env)
+  assert.ok(await env.USER_STORAGE.get('ban:802'))
+
+  await processUpdate(toUpdate(adminMessage({ text: '/banned' })), env)
+  assert.match(lastAdminReply(), /802/)
+  assert.match(lastAdminReply(), /刷屏/)
+})
+
+test('封禁：不能封禁管理员', async () => {
+  telegram.reset()
+  const env = createEnv({ ADMIN_USERS: '1:owner' })
+
+  await processUpdate(toUpdate(adminMessage({ text: '/ban 1' })), env)
+  assert.match(lastAdminReply(), /不能封禁管理员/)
+  assert.equal(await env.USER_STORAGE.get('ban:1'), null)
+})
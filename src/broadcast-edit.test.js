@@ -0,0 +1,116 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, telegramError, createEnv, userMessage, adminMessage, adminCallback, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 创建群发预览并确认发送，返回任务ID
+async function postAndConfirm(env, fields) {
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage(fields)), env)
+  const panel = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).find(call => call.params.reply_markup?.inline_keyboard)
+  const jobId = panel.params.reply_markup.inline_keyboard[0][0].callback_data.split(':')[2]
+  await processUpdate(toUpdate(adminCallback(`post:confirm:${jobId}`), 'callback_query'), env)
+  return jobId
+}
+
+async function createUsers(env, ids) {
+  for (const id of ids) await processUpdate(toUpdate(userMessage(id, { text: '你好' })), env)
+}
+
+test('群发修改：文本群发的发送和 /editpost 使用相同的 Markdown 格式', async () => {
+  const env = createEnv()
+  await createUsers(env, [601, 602])
+  const jobId = await postAndConfirm(env, { text: '/post all 原内容' })
+
+  const sent = telegram.callsTo('sendMessage', 601)[0]
+  assert.equal(sent.params.parse_mode, 'Markdown')
+  assert.match(sent.params.text, /^📢 \*管理员广播:\*\n\n原内容$/)
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: `/editpost ${jobId} 新内容` })), env)
+
+  const edits = telegram.callsTo('editMessageText').filter(call => call.params.chat_id !== ADMIN_CHAT_ID)
+  assert.equal(edits.length, 2)
+  for (const edit of edits) {
+    assert.equal(edit.params.parse_mode, sent.params.parse_mode)
+    assert.equal(edit.params.text, sent.params.text.replace('原内容', '新内容'))
+  }
+})
+
+test('群发修改：新内容的 Markdown 无法解析时以纯文本修改', async () => {
+  const env = createEnv()
+  await createUsers(env, [603])
+  const jobId = await postAndConfirm(env, { text: '/post all 原内容' })
+
+  telegram.reset()
+  telegram.respond('editMessageText', params => params.parse_mode ? telegramError(400, "Bad Request: can't parse entities") : null)
+  await processUpdate(toUpdate(adminMessage({ text: `/editpost ${jobId} 未闭合的 *星号` })), env)
+  telegram.respond('editMessageText', null)
+
+  const edits = telegram.callsTo('editMessageText', 603)
+  assert.equal(edits.length, 2)
+  assert.equal(edits[1].params.parse_mode, undefined)
+  assert.match(edits[1].params.text, /未闭合的 \*星号/)
+})
+
+// 管理员聊天中的一张图片，用于回复后群发
+function adminPhoto(messageId, fields = {}) {
+  return {
+    message_id: messageId,
+    chat: { id: Number(ADMIN_CHAT_ID), type: 'supergroup' },
+    photo: [{ file_id: `photo-${messageId}`, file_unique_id: `u-${messageId}`, width: 90, height: 90 }],
+    ...fields
+  }
+}
+
+test('群发修改：媒体群发修改说明时使用相同的 Markdown 格式，无法解析时以纯文本修改', async () => {
+  const env = createEnv()
+  await createUsers(env, [604])
+  const jobId = await postAndConfirm(env, { text: '/post all 原说明', reply_to_message: adminPhoto(50) })
+
+  const sent = telegram.callsTo('copyMessage', 604)[0]
+  assert.equal(sent.params.parse_mode, 'Markdown')
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: `/editpost ${jobId} 新说明` })), env)
+  const edit = telegram.callsTo('editMessageCaption', 604)[0]
+  assert.equal(edit.params.parse_mode, 'Markdown')
+  assert.equal(edit.params.caption, sent.params.caption.replace('原说明', '新说明'))
+
+  telegram.reset()
+  telegram.respond('editMessageCaption', params => params.parse_mode ? telegramError(400, "Bad Request: can't parse entities") : null)
+  await processUpdate(toUpdate(adminMessage({ text: `/editpost ${jobId} 未闭合的 _下划线` })), env)
+  telegram.respond('editMessageCaption', null)
+
+  const edits = telegram.callsTo('editMessageCaption', 604)
+  assert.equal(edits.length, 2)
+  assert.equal(edits[1].params.parse_mode, undefined)
+  assert.match(edits[1].params.caption, /未闭合的 _下划线/)
+})
+
+test('群发修改：相册群发修改第一项的说明', async () => {
+  const env = createEnv()
+  await createUsers(env, [605])
+  for (const messageId of [60, 61]) {
+    await env.USER_STORAGE.put(`album:${ADMIN_CHAT_ID}:ag1:${messageId}`, JSON.stringify({
+      messageId,
+      media: { type: 'photo', media: `photo-${messageId}` },
+      caption: ''
+    }))
+  }
+  const jobId = await postAndConfirm(env, { text: '/post all 相册说明', reply_to_message: adminPhoto(61, { media_group_id: 'ag1' }) })
+
+  const sent = telegram.callsTo('sendMediaGroup', 605)[0]
+  assert.equal(sent.params.media.length, 2)
+  assert.equal(sent.params.media[0].parse_mode, 'Markdown')
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: `/editpost ${jobId} 新的相册说明` })), env)
+  const edits = telegram.callsTo('editMessageCaption', 605)
+  assert.equal(edits.length, 1)
+  assert.equal(edits[0].params.parse_mode, 'Markdown')
+  assert.equal(edits[0].params.caption, sent.params.media[0].caption.replace('相册说明', '新的相册说明'))
+})
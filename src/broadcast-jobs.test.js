@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { handleScheduled, createBroadcastJob, runBroadcastJob, cancelBroadcastJob, saveBroadcastJob, parseTargetList } from './core.js'
+import { mockTelegram, createEnv, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+const scheduledEvent = { cron: '* * * * *', scheduledTime: Date.now() }
+
+// 向指定用户ID群发的任务
+async function createJob(ids, env) {
+  return await createBroadcastJob({ targets: parseTargetList(ids.join(',')), message: '通知' }, env)
+}
+
+// 每个用户收到的群发消息数
+function deliveriesTo(ids) {
+  return ids.map(id => telegram.callsTo('sendMessage', id).length)
+}
+
+test('群发任务：时间预算用完后中断，定时任务继续发送剩余的用户', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const ids = Array.from({ length: 60 }, (_, i) => String(1100 + i))
+  const job = await createJob(ids, env)
+
+  // 没有时间预算：本次运行未发送任何消息，任务保持进行中并释放租约
+  const interrupted = await runBroadcastJob(job.id, env, 0)
+  assert.equal(interrupted.status, 'running')
+  assert.equal(interrupted.leaseUntil, 0)
+  assert.equal(telegram.callsTo('sendMessage').filter(call => call.params.chat_id !== ADMIN_CHAT_ID).length, 0)
+
+  await handleScheduled(scheduledEvent, env)
+
+  const finished = await env.USER_STORAGE.get(`job:${job.id}`, 'json')
+  assert.equal(finished.status, 'completed')
+  assert.equal(finished.success, 60)
+  assert.ok(finished.recipients.every(r => r.status === 'sent' && r.messageId))
+  assert.deepEqual(deliveriesTo(ids), ids.map(() => 1))
+})
+
+test('群发任务：其他实例持有租约时不重复发送', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const job = await createJob(['1201', '1202'], env)
+  job.leaseUntil = Date.now() + 60000
+  await saveBroadcastJob(job, env)
+
+  await runBroadcastJob(job.id, env)
+  assert.deepEqual(deliveriesTo(['1201', '1202']), [0, 0])
+})
+
+test('群发任务：取消后不再发送，已取消的任务不会被进度覆盖', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const job = await createJob(['1301', '1302'], env)
+
+  const cancelled = await cancelBroadcastJob(job.id, env)
+  assert.equal(cancelled.status, 'cancelled')
+
+  await runBroadcastJob(job.id, env)
+  await handleScheduled(scheduledEvent, env)
+  assert.deepEqual(deliveriesTo(['1301', '1302']), [0, 0])
+  assert.equal((await env.USER_STORAGE.get(`job:${job.id}`, 'json')).status, 'cancelled')
+})
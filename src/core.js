@@ -0,0 +1,4690 @@
+// 机器人核心：与传输方式无关的更新处理、群发任务和定时任务
+// Cloudflare Workers（worker.js，Webhook）和 Node.js 长轮询运行时（node/polling.js）共用本模块
+// 环境变量的说明见 worker.js 开头的注释，KV 存储通过 env.USER_STORAGE 访问
+
+// 生成数据的HMAC签名（用户标识和按钮回调数据共用）
+async function generateSignature(payload, secret) {
+  if (!secret) {
+    // 如果没有配置密钥，使用简单的哈希作为后备
+    const data = new TextEncoder().encode(`${payload}:fallback`)
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data)
+    const hashArray = Array.from(new Uint8Array(hashBuffer))
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16)
+  }
+  
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  
+  const data = new TextEncoder().encode(payload)
+  const signature = await crypto.subtle.sign('HMAC', key, data)
+  const signatureArray = Array.from(new Uint8Array(signature))
+  return signatureArray.map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16)
+}
+
+// 生成用户ID的HMAC签名
+async function generateUserIdSignature(userId, secret) {
+  return await generateSignature(`user:${userId}`, secret)
+}
+
+// 验证用户ID签名
+async function verifyUserIdSignature(userId, signature, secret) {
+  const expectedSignature = await generateUserIdSignature(userId, secret)
+  return signature === expectedSignature
+}
+
+// 创建安全的用户标识符
+async function createSecureUserTag(userId, secret) {
+  const signature = await generateUserIdSignature(userId, secret)
+  return `[USER:${userId}:${signature}]`
+}
+
+// 为按钮回调数据附加签名，防止伪造：<数据>:<签名>
+async function signCallbackData(payload, secret) {
+  const signature = await generateSignature(`callback:${payload}`, secret)
+  return `${payload}:${signature}`
+}
+
+// 验证按钮回调数据的签名，返回签名前的数据（签名无效返回null）
+async function verifyCallbackData(data, secret) {
+  const separatorIndex = data.lastIndexOf(':')
+  if (separatorIndex === -1) return null
+
+  const payload = data.substring(0, separatorIndex)
+  const signature = data.substring(separatorIndex + 1)
+  const expectedSignature = await generateSignature(`callback:${payload}`, secret)
+  return signature === expectedSignature ? payload : null
+}
+
+// 从消息中安全提取用户Chat ID的辅助函数
+async function extractUserChatId(messageText, secret) {
+  if (!messageText) return null
+  
+  // 新的安全格式：[USER:id:signature] 
+  const secureMatch = messageText.match(/\[USER:(\d+):([a-f0-9]{16})\]/)
+  if (secureMatch) {
+    const userId = secureMatch[1]
+    const signature = secureMatch[2]
+    
+    // 验证签名
+    const isValid = await verifyUserIdSignature(userId, signature, secret)
+    if (isValid) {
+      return userId
+    } else {
+      console.warn(`检测到无效的用户ID签名: ${userId}:${signature}`)
+      return null
+    }
+  }
+  
+  // 兼容旧格式（逐步淘汰，仅在没有新格式时使用）
+  const legacyMatch = messageText.match(/\[USER:(\d+)\](?![:\w])/)
+  if (legacyMatch && !secureMatch) {
+    console.warn(`使用了不安全的旧格式用户标识: ${legacyMatch[1]}`)
+    return legacyMatch[1]
+  }
+  
+  return null
+}
+
+// 是否在转发消息中显示用户标识（未绑定KV时必须显示，否则无法路由回复）
+function shouldShowUserTag(env) {
+  return env.SHOW_USER_TAG !== 'false' || !env.USER_STORAGE
+}
+
+// 保存管理员侧消息与用户侧消息的双向映射
+// direction: 'in' 为用户发给管理员的消息，'out' 为管理员发给用户的回复
+// userMessageId 为空时只保存管理员侧到用户的映射（如快速回复提示），用于路由回复
+async function saveMessageMapping(adminMessageId, userChatId, userMessageId, direction, env) {
+  try {
+    if (!env.USER_STORAGE || !adminMessageId) return
+
+    const ttlDays = parseInt(env.MESSAGE_MAP_TTL_DAYS || '30', 10) || 30
+    const options = { expirationTtl: ttlDays * 24 * 60 * 60 }
+
+    await env.USER_STORAGE.put(`msg:admin:${adminMessageId}`, JSON.stringify({
+      chatId: userChatId.toString(),
+      messageId: userMessageId,
+      direction
+    }), options)
+    if (!userMessageId) return
+
+    await env.USER_STORAGE.put(`msg:user:${userChatId}:${userMessageId}`, JSON.stringify({
+      messageId: adminMessageId,
+      direction
+    }), options)
+  } catch (error) {
+    console.error('保存消息映射失败:', error)
+  }
+}
+
+// 根据管理员侧消息ID查找对应的用户消息
+async function getMessageMappingByAdmin(adminMessageId, env) {
+  try {
+    if (!env.USER_STORAGE) return null
+
+    const data = await env.USER_STORAGE.get(`msg:admin:${adminMessageId}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('读取消息映射失败:', error)
+    return null
+  }
+}
+
+// 根据用户侧消息查找对应的管理员侧消息
+async function getMessageMappingByUser(userChatId, userMessageId, env) {
+  try {
+    if (!env.USER_STORAGE) return null
+
+    const data = await env.USER_STORAGE.get(`msg:user:${userChatId}:${userMessageId}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('读取消息映射失败:', error)
+    return null
+  }
+}
+
+// 是否记录对话历史（需要KV存储）
+function isHistoryEnabled(env) {
+  return env.ENABLE_HISTORY === 'true' && !!env.USER_STORAGE
+}
+
+// 消息类型，用于对话记录
+const MESSAGE_TYPES = ['text', 'photo', 'video', 'animation', 'document', 'audio', 'voice', 'video_note', 'sticker', 'location', 'contact', 'poll']
+
+function getMessageType(message) {
+  return MESSAGE_TYPES.find(type => message[type]) || 'media'
+}
+
+// 记录一条对话：direction 为 'in'（用户消息）或 'out'（管理员回复），by 为回复的管理员
+// 键为 hist:<用户ID>:<倒序时间戳>，按前缀列出时最新的记录在前；元数据中保存截断的文本，查看记录时无需逐个读取
+async function logConversation(chatId, direction, message, env, { by = '' } = {}) {
+  try {
+    if (!isHistoryEnabled(env)) return
+
+    const now = Date.now()
+    const entry = {
+      at: new Date(now).toISOString(),
+      direction,
+      type: getMessageType(message),
+      text: message.text || message.caption || '',
+      by
+    }
+
+    const ttlDays = parseInt(env.HISTORY_TTL_DAYS || '90', 10) || 90
+    const reversedTime = (9999999999999 - now).toString().padStart(13, '0')
+    const suffix = Math.random().toString(36).substring(2, 6)
+
+    await env.USER_STORAGE.put(`hist:${chatId}:${reversedTime}:${suffix}`, JSON.stringify(entry), {
+      metadata: { ...entry, text: entry.text.substring(0, 200) },
+      expirationTtl: ttlDays * 24 * 60 * 60
+    })
+  } catch (error) {
+    console.error('记录对话历史失败:', error)
+  }
+}
+
+// 获取用户最近的对话记录（最新的在前）；full 为 true 时读取完整文本，否则使用元数据中的摘要
+async function getConversationHistory(chatId, limit, env, { full = false } = {}) {
+  const entries = []
+  let cursor
+
+  do {
+    const page = await env.USER_STORAGE.list({ prefix: `hist:${chatId}:`, cursor, limit: Math.min(1000, limit - entries.length) })
+    for (const key of page.keys) {
+      if (full) {
+        const data = await env.USER_STORAGE.get(key.name)
+        if (data) entries.push(JSON.parse(data))
+      } else if (key.metadata) {
+        entries.push(key.metadata)
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor && entries.length < limit)
+
+  return entries
+}
+
+// 解析被回复的消息所属的用户：优先使用KV消息映射，其次解析消息中的用户标识
+async function resolveReplyUserChatId(repliedMessage, env) {
+  if (!repliedMessage) return null
+
+  const mapping = await getMessageMappingByAdmin(repliedMessage.message_id, env)
+  if (mapping) return mapping.chatId
+
+  return await extractUserChatId(repliedMessage.text || repliedMessage.caption, env.USER_ID_SECRET)
+}
+
+// 解析命令文本，返回命令名与参数（兼容 /cmd@botname 格式）
+function parseCommand(text) {
+  if (!text) return null
+  
+  const match = text.trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/)
+  if (!match) return null
+  
+  return { command: match[1].toLowerCase(), args: (match[2] || '').trim() }
+}
+
+// 解析单个群发目标：all、用户ID、tag:标签、active:7d（7天内活跃）、inactive:30d（30天内未活跃）
+function parseTargetSegment(raw) {
+  if (raw === 'all') return { type: 'all', raw }
+  if (/^\d+$/.test(raw)) return { type: 'id', value: raw, raw }
+
+  const tagMatch = raw.match(/^tag:(.+)$/i)
+  if (tagMatch) return { type: 'tag', value: tagMatch[1].toLowerCase(), raw }
+
+  const activityMatch = raw.match(/^(active|inactive):(\d+)d$/i)
+  if (activityMatch) return { type: activityMatch[1].toLowerCase(), days: parseInt(activityMatch[2], 10), raw }
+
+  return null
+}
+
+// 解析群发命令的目标用户
+// 目标为逗号分隔的列表，如 "tag:vip,active:7d,-tag:blocked,-123"，以 - 开头的目标会被排除
+function parsePostTargets(commandText) {
+  if (!commandText) return { targets: parseTargetList(''), message: '' }
+  
+  const parts = commandText.split(' ')
+  if (parts.length < 2) return { targets: parseTargetList(''), message: '' }
+  
+  return { targets: parseTargetList(parts[0]), message: parts.slice(1).join(' ') }
+}
+
+// 解析逗号分隔的群发目标列表
+function parseTargetList(targetsStr) {
+  const targets = { include: [], exclude: [], invalid: [] }
+
+  for (const item of targetsStr.split(',').map(t => t.trim()).filter(Boolean)) {
+    const excluded = item.startsWith('-')
+    const segment = parseTargetSegment(excluded ? item.substring(1) : item)
+
+    if (!segment) {
+      targets.invalid.push(item)
+    } else if (excluded) {
+      targets.exclude.push(segment)
+    } else {
+      targets.include.push(segment)
+    }
+  }
+
+  return targets
+}
+
+// 群发目标是否需要用户跟踪数据（除用户ID外的目标均需要）
+function targetsRequireTracking(targets) {
+  return [...targets.include, ...targets.exclude].some(segment => segment.type !== 'id')
+}
+
+// 检查群发目标，返回错误提示（无错误返回null）
+function validatePostTargets(targets, env) {
+  if (targets.invalid.length > 0) {
+    return `❌ 无法识别的目标: \`${targets.invalid.join(', ')}\`\n\n支持: \`all\`、用户ID、\`tag:标签\`、\`active:7d\`、\`inactive:30d\`，以 \`-\` 开头表示排除`
+  }
+
+  if (targets.include.length === 0) {
+    return `❌ 未找到有效的群发目标\n\n请检查格式: \`/post 123,456,789 消息内容\` 或 \`/post tag:vip 消息内容\``
+  }
+
+  if (targetsRequireTracking(targets) && env.ENABLE_USER_TRACKING !== 'true') {
+    return `❌ 使用 'all'、标签或活跃度目标需要启用用户跟踪功能\n\n请设置环境变量 \`ENABLE_USER_TRACKING=true\` 并绑定KV存储`
+  }
+
+  return null
+}
+
+// 用户是否匹配某个群发目标
+function matchTargetSegment(user, segment, now) {
+  const daysSinceActive = (now - new Date(user.lastActive).getTime()) / (24 * 60 * 60 * 1000)
+
+  switch (segment.type) {
+    case 'all':
+      return true
+    case 'id':
+      return user.chatId.toString() === segment.value
+    case 'tag':
+      return (user.tags || []).includes(segment.value)
+    case 'active':
+      return daysSinceActive <= segment.days
+    case 'inactive':
+      return daysSinceActive > segment.days
+    default:
+      return false
+  }
+}
+
+// 将群发目标解析为用户ID列表，并统计每个目标匹配的用户数
+// 按条件匹配的用户会跳过已屏蔽机器人或已注销的用户，直接指定的用户ID始终发送
+async function resolvePostTargets(targets, env) {
+  const users = targetsRequireTracking(targets) ? await getUsersFromKV(env) : []
+  const now = Date.now()
+
+  const resolveSegment = (segment) => {
+    if (segment.type === 'id') return [segment.value]
+    return users.filter(user => matchTargetSegment(user, segment, now)).map(user => user.chatId.toString())
+  }
+  const activeIds = new Set(users.filter(isUserActive).map(user => user.chatId.toString()))
+
+  const segments = []
+  const included = new Set()
+  let skipped = 0
+  for (const segment of targets.include) {
+    const matched = resolveSegment(segment)
+    const reachable = segment.type === 'id' ? matched : matched.filter(id => activeIds.has(id))
+    skipped += matched.length - reachable.length
+    segments.push({ label: segment.raw, count: reachable.length })
+    reachable.forEach(id => included.add(id))
+  }
+
+  const excluded = new Set()
+  for (const segment of targets.exclude) {
+    const matched = resolveSegment(segment)
+    segments.push({ label: `-${segment.raw}`, count: matched.length, excluded: true })
+    matched.forEach(id => excluded.add(id))
+  }
+
+  const userIds = [...included].filter(id => !excluded.has(id))
+  return { userIds, segments, skipped }
+}
+
+// 群发目标的显示文本
+function formatPostTargets(targets) {
+  const labels = [
+    ...targets.include.map(segment => segment.type === 'all' ? '所有用户' : segment.raw),
+    ...targets.exclude.map(segment => `排除 ${segment.raw}`)
+  ]
+  return labels.join(', ')
+}
+
+// 用户记录的KV键：每个用户单独存储，避免并发消息互相覆盖，也没有数量上限
+function userKey(chatId) {
+  return `user:${chatId}`
+}
+
+// 获取单个用户记录
+async function getUserRecord(chatId, env) {
+  try {
+    if (!env.USER_STORAGE) return null
+
+    const data = await env.USER_STORAGE.get(userKey(chatId))
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('从KV获取用户记录失败:', error)
+    return null
+  }
+}
+
+// KV元数据的大小上限（JSON序列化后的UTF-8字节数），以及超限时元数据中的用户名最少保留的字符数
+const KV_METADATA_MAX_BYTES = 1024
+const MIN_METADATA_USERNAME_LENGTH = 16
+
+// 生成用户记录的元数据：列表所需的摘要，列出用户时无需逐个读取
+// 中文等多字节字符每个占3字节，超出上限时先缩短用户名，再去掉末尾的标签（完整数据仍保存在记录中）
+function buildUserMetadata(record) {
+  const metadata = {
+    chatId: record.chatId,
+    userName: (record.userName || '').substring(0, 64),
+    userId: record.userId,
+    status: record.status || 'active',
+    lastActive: record.lastActive,
+    tags: record.tags || []
+  }
+
+  while (new TextEncoder().encode(JSON.stringify(metadata)).length > KV_METADATA_MAX_BYTES) {
+    if (metadata.userName.length > MIN_METADATA_USERNAME_LENGTH) {
+      metadata.userName = metadata.userName.substring(0, MIN_METADATA_USERNAME_LENGTH)
+    } else if (metadata.tags.length > 0) {
+      metadata.tags = metadata.tags.slice(0, -1)
+    } else {
+      break
+    }
+  }
+  return metadata
+}
+
+// 保存用户记录
+async function saveUserRecord(record, env) {
+  const metadata = buildUserMetadata(record)
+  await env.USER_STORAGE.put(userKey(record.chatId), JSON.stringify(record), { metadata })
+}
+
+// 将旧版 user_list 单键用户列表迁移为每个用户单独的记录
+// 由定时任务调用，迁移完成后 user_list 被删除，之后每次只需一次读取
+// 旧版记录没有首次使用时间，以其最后活跃时间作为首次使用时间；迁移前已发送过消息的用户已有新记录，只补上更早的首次使用时间
+async function migrateLegacyUserList(env) {
+  const legacyData = await env.USER_STORAGE.get('user_list')
+  if (!legacyData) return 0
+
+  const legacyUsers = JSON.parse(legacyData)
+  let migrated = 0
+  for (const user of Array.isArray(legacyUsers) ? legacyUsers : []) {
+    if (!user || !user.chatId) continue
+
+    const legacyFirstSeen = user.firstSeen || user.lastActive
+    const existing = await getUserRecord(user.chatId, env)
+    if (existing) {
+      if (!legacyFirstSeen || (existing.firstSeen && new Date(existing.firstSeen) <= new Date(legacyFirstSeen))) continue
+      await saveUserRecord({ ...existing, firstSeen: legacyFirstSeen }, env)
+    } else {
+      await saveUserRecord({ ...user, chatId: user.chatId.toString(), firstSeen: legacyFirstSeen }, env)
+    }
+    migrated++
+  }
+
+  await env.USER_STORAGE.delete('user_list')
+  console.log(`已迁移旧版用户列表: ${migrated} 个用户`)
+  return migrated
+}
+
+// 从KV存储获取用户列表（来自每个用户记录的元数据）
+async function getUsersFromKV(env) {
+  try {
+    if (!env.USER_STORAGE) {
+      console.log('KV存储未配置')
+      return []
+    }
+
+    const users = []
+    let cursor
+    do {
+      const page = await env.USER_STORAGE.list({ prefix: 'user:', cursor })
+      for (const key of page.keys) {
+        if (key.metadata) users.push(key.metadata)
+      }
+      cursor = page.list_complete ? undefined : page.cursor
+    } while (cursor)
+
+    return users
+  } catch (error) {
+    console.error('从KV获取用户列表失败:', error)
+    return []
+  }
+}
+
+// 向KV存储添加用户
+async function addUserToKV(chatId, userInfo, env) {
+  try {
+    if (!env.USER_STORAGE) return
+
+    const existing = await getUserRecord(chatId, env)
+    const now = new Date()
+
+    // 一分钟内重复活跃且信息未变化时跳过写入，节省KV写入次数
+    if (existing && isUserActive(existing) && existing.userName === userInfo.userName && existing.languageCode === userInfo.languageCode &&
+      now.getTime() - new Date(existing.lastActive).getTime() < 60 * 1000) {
+      return existing
+    }
+
+    // 用户主动发送消息说明仍可触达，状态重置为正常
+    const record = {
+      ...existing,
+      chatId: chatId.toString(),
+      userName: userInfo.userName,
+      userId: userInfo.userId,
+      languageCode: userInfo.languageCode,
+      status: 'active',
+      firstSeen: existing?.firstSeen || now.toISOString(),
+      lastActive: now.toISOString()
+    }
+    delete record.inactiveSince
+
+    await saveUserRecord(record, env)
+    return record
+  } catch (error) {
+    console.error('添加用户到KV失败:', error)
+  }
+}
+
+// 用户是否仍可触达（未屏蔽机器人、账号未注销）
+function isUserActive(user) {
+  return !user.status || user.status === 'active'
+}
+
+// 将无法触达的用户标记为停用，群发时跳过
+async function markUserInactive(chatId, reason, env) {
+  try {
+    if (!env.USER_STORAGE) return
+
+    const user = await getUserRecord(chatId, env)
+    if (!user || user.status === reason) return
+
+    user.status = reason
+    user.inactiveSince = new Date().toISOString()
+    await saveUserRecord(user, env)
+    console.log(`用户 ${chatId} 已标记为停用: ${reason}`)
+  } catch (error) {
+    console.error('标记用户停用失败:', error)
+  }
+}
+
+// 每个用户最多的标签数量和标签长度（标签保存在KV元数据中，需控制大小）
+const MAX_USER_TAGS = 10
+const MAX_TAG_LENGTH = 20
+
+// 标准化标签：去掉开头的#并转为小写，仅允许文字、数字和连字符（下划线会破坏Markdown格式）
+function normalizeTag(tag) {
+  const normalized = tag.replace(/^#/, '').toLowerCase()
+  return /^[\p{L}\p{N}-]+$/u.test(normalized) && normalized.length <= MAX_TAG_LENGTH ? normalized : null
+}
+
+// 为用户添加或移除标签，返回更新后的记录（用户不存在返回null）
+async function updateUserTags(chatId, { add = [], remove = [] }, env) {
+  const record = await getUserRecord(chatId, env)
+  if (!record) return null
+
+  const tags = new Set(record.tags || [])
+  add.forEach(tag => tags.add(tag))
+  remove.forEach(tag => tags.delete(tag))
+  record.tags = [...tags].slice(0, MAX_USER_TAGS)
+
+  // 分组群发按元数据中的标签匹配，放不进元数据的新标签不添加
+  while (buildUserMetadata(record).tags.length < record.tags.length) {
+    record.tags.pop()
+  }
+
+  await saveUserRecord(record, env)
+  return record
+}
+
+// 设置用户备注（空文本清除备注），返回更新后的记录（用户不存在返回null）
+async function setUserNote(chatId, note, env) {
+  const record = await getUserRecord(chatId, env)
+  if (!record) return null
+
+  if (note) {
+    record.note = note
+  } else {
+    delete record.note
+  }
+
+  await saveUserRecord(record, env)
+  return record
+}
+
+// 格式化用户的标签和备注（HTML格式，用于转发消息的头部和用户信息）
+function formatUserProfileLines(record) {
+  if (!record) return ''
+
+  const tagsLine = record.tags && record.tags.length > 0
+    ? `\n🏷️ 标签: ${record.tags.map(tag => `#${tag}`).join(' ')}`
+    : ''
+  const noteLine = record.note ? `\n🗒️ 备注: ${escapeHtml(record.note)}` : ''
+  return `${tagsLine}${noteLine}`
+}
+
+// 用户列表每页显示的数量
+const USERS_PAGE_SIZE = 10
+
+// 按最后活跃时间倒序分页查询用户，query 不为空时按名称或ID搜索
+async function queryUsers(env, { page = 1, query = '', pageSize = USERS_PAGE_SIZE } = {}) {
+  const keyword = query.trim().toLowerCase()
+  let users = await getUsersFromKV(env)
+
+  if (keyword) {
+    users = users.filter(user =>
+      user.chatId.toString().includes(keyword) ||
+      (user.userName || '').toLowerCase().includes(keyword)
+    )
+  }
+
+  users.sort((a, b) => new Date(b.lastActive).getTime() - new Date(a.lastActive).getTime())
+
+  const totalPages = Math.max(1, Math.ceil(users.length / pageSize))
+  const currentPage = Math.min(Math.max(1, page), totalPages)
+  const start = (currentPage - 1) * pageSize
+
+  return {
+    users: users.slice(start, start + pageSize),
+    total: users.length,
+    page: currentPage,
+    totalPages,
+    offset: start
+  }
+}
+
+// 用户状态的显示文本
+const USER_STATUS_LABELS = {
+  active: '🟢 正常',
+  blocked: '🚫 已屏蔽机器人',
+  deactivated: '💀 账号已注销'
+}
+
+// 获取用户的封禁记录（未封禁返回null）
+async function getBanRecord(chatId, env) {
+  try {
+    if (!env.USER_STORAGE) return null
+
+    const banData = await env.USER_STORAGE.get(`ban:${chatId}`)
+    return banData ? JSON.parse(banData) : null
+  } catch (error) {
+    console.error('从KV获取封禁记录失败:', error)
+    return null
+  }
+}
+
+// 封禁用户，记录操作者、时间和原因
+async function banUser(chatId, { reason = '', bannedBy = '' } = {}, env) {
+  const record = {
+    chatId: chatId.toString(),
+    reason,
+    bannedBy,
+    bannedAt: new Date().toISOString(),
+    noticeSent: false
+  }
+
+  await saveBanRecord(record, env)
+  return record
+}
+
+// 保存封禁记录，元数据中保存摘要，/banned 列表无需逐个读取（KV元数据上限1024字节）
+async function saveBanRecord(record, env) {
+  const metadata = { ...record, reason: record.reason.substring(0, 200) }
+  await env.USER_STORAGE.put(`ban:${record.chatId}`, JSON.stringify(record), { metadata })
+}
+
+// 解除封禁，返回是否存在封禁记录
+async function unbanUser(chatId, env) {
+  const record = await getBanRecord(chatId, env)
+  if (!record) return false
+
+  await env.USER_STORAGE.delete(`ban:${chatId}`)
+  return true
+}
+
+// 列出所有被封禁的用户
+async function listBannedUsers(env) {
+  const records = []
+  let cursor
+
+  do {
+    const page = await env.USER_STORAGE.list({ prefix: 'ban:', cursor })
+    for (const key of page.keys) {
+      records.push(key.metadata || { chatId: key.name.substring(4) })
+    }
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor)
+
+  return records.sort((a, b) => new Date(b.bannedAt || 0).getTime() - new Date(a.bannedAt || 0).getTime())
+}
+
+// 处理被封禁用户的消息：丢弃消息，按配置发送一次提示
+async function handleBannedUser(chatId, banRecord, env) {
+  console.log(`已丢弃被封禁用户的消息: ${chatId}`)
+
+  if (!env.BAN_NOTICE || banRecord.noticeSent) return
+
+  await sendMessage(chatId, env.BAN_NOTICE, env.BOT_TOKEN, { parse_mode: undefined })
+
+  await saveBanRecord({ ...banRecord, noticeSent: true }, env)
+}
+
+// 回复模板名称：文字、数字、下划线和连字符，不能为纯数字（避免与用户ID混淆）
+function normalizeTemplateName(name) {
+  const normalized = (name || '').toLowerCase()
+  return /^(?!\d+$)[\p{L}\p{N}_-]{1,32}$/u.test(normalized) ? normalized : null
+}
+
+// 获取回复模板
+async function getReplyTemplate(name, env) {
+  try {
+    const data = await env.USER_STORAGE.get(`tpl:${name}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('从KV获取回复模板失败:', error)
+    return null
+  }
+}
+
+// 保存回复模板：文本模板保存文本，媒体模板保存管理员聊天中原消息的ID和说明
+async function saveReplyTemplate(template, env) {
+  const preview = template.text || template.caption || ''
+  await env.USER_STORAGE.put(`tpl:${template.name}`, JSON.stringify(template), {
+    metadata: {
+      name: template.name,
+      isMedia: !!template.messageId,
+      preview: preview.substring(0, 60)
+    }
+  })
+}
+
+// 删除回复模板，返回是否存在
+async function deleteReplyTemplate(name, env) {
+  const existing = await env.USER_STORAGE.get(`tpl:${name}`)
+  if (!existing) return false
+
+  await env.USER_STORAGE.delete(`tpl:${name}`)
+  return true
+}
+
+// 列出回复模板（按名称排序）
+async function listReplyTemplates(env) {
+  const templates = []
+  let cursor
+
+  do {
+    const page = await env.USER_STORAGE.list({ prefix: 'tpl:', cursor })
+    for (const key of page.keys) {
+      if (key.metadata) templates.push(key.metadata)
+    }
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor)
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+// 替换模板中的占位符，如 {name}、{id}，未知的占位符保持原样
+function renderTemplate(text, variables) {
+  if (!text) return text
+  return text.replace(/\{(\w+)\}/g, (match, key) => variables[key] !== undefined ? variables[key] : match)
+}
+
+// 替换占位符并调整消息实体的位置，使模板中的粗体、链接等格式在替换后仍然对齐
+// 从后往前替换，前面的实体位置不受影响；包含占位符的实体随替换内容伸缩
+function renderTemplateWithEntities(text, entities, variables) {
+  if (!text) return { text, entities: [] }
+
+  let rendered = text
+  const adjusted = (entities || []).map(entity => ({ ...entity }))
+  const matches = [...text.matchAll(/\{(\w+)\}/g)].filter(match => variables[match[1]] !== undefined).reverse()
+  for (const match of matches) {
+    const start = match.index
+    const end = start + match[0].length
+    const value = String(variables[match[1]])
+    const delta = value.length - match[0].length
+
+    rendered = rendered.slice(0, start) + value + rendered.slice(end)
+    for (const entity of adjusted) {
+      if (entity.offset >= end) {
+        entity.offset += delta
+      } else if (entity.offset <= start && entity.offset + entity.length >= end) {
+        entity.length += delta
+      }
+    }
+  }
+
+  return { text: rendered, entities: adjusted.filter(entity => entity.length > 0) }
+}
+
+// 用户可见文本的语言包，{name} 形式的占位符在发送时替换；管理员可用 /settext 覆盖单条文本
+const USER_MESSAGES = {
+  zh: {
+    welcome: '👋 你好！我是消息转发机器人。\n\n请发送你的消息，我会转发给管理员并尽快回复你。\n📖 发送 /faq 查看常见问题\n🌐 发送 /lang 切换语言 (Language)',
+    message_sent: '✅ 你的消息已发送给管理员，请耐心等待回复。',
+    send_failed: '❌ 抱歉，消息发送失败，请稍后再试。',
+    reply_header: '💬 管理员回复',
+    reply_header_signed: '💬 管理员回复 ({admin})',
+    faq_empty: '📭 暂无常见问题，请直接发送你的问题，管理员会尽快回复。',
+    faq_title: '📖 *常见问题*\n\n点击下方问题查看解答，没有找到答案请直接发送消息给管理员。',
+    faq_removed: '⚠️ 该问题已被删除，请发送 /faq 查看最新列表',
+    rate_limited: '⚠️ 你发送消息过于频繁，{seconds} 秒内超出的消息将不会转发给管理员，请稍后再试。',
+    away_notice: '🏖️ 管理员暂时不在，你的消息已转发，我们会在返回后尽快回复。',
+    off_hours_notice: '🌙 现在是非工作时间，你的消息已转发给管理员，我们会在工作时间内尽快回复。\n\n🕐 工作时间: {hours}',
+    verify_prompt: '🔐 *请先完成验证*\n\n为防止垃圾消息，首次使用前请点击下方的正确答案:\n\n❓ *{question}*\n\n剩余机会: {attempts} 次',
+    verify_wrong: '❌ 答案错误，请重试',
+    verify_passed: '✅ *验证通过！*\n\n现在可以发送消息了，你的消息会转发给管理员。',
+    verify_passed_short: '✅ 验证通过',
+    verify_already: '✅ 你已通过验证',
+    verify_expired: '⚠️ 验证已过期，请重新发送消息获取新的验证',
+    verify_failed: '🚫 验证失败次数过多，已无法使用本机器人。',
+    verify_by_admin: '✅ 管理员已为你完成验证，现在可以发送消息了。',
+    lang_usage: '🌐 当前语言: {current}\n\n可选语言: {languages}\n\n💡 发送 `/lang en` 切换语言，`/lang auto` 恢复为跟随Telegram设置',
+    lang_set: '✅ 语言已切换为中文',
+    lang_auto: '✅ 已恢复为跟随Telegram的语言设置',
+    lang_unavailable: '⚠️ 当前不支持切换语言',
+    broadcast_header: '📢 *管理员广播:*'
+  },
+  en: {
+    welcome: '👋 Hello! I am a message forwarding bot.\n\nSend me your message and I will forward it to the admin, who will reply as soon as possible.\n📖 Send /faq to see frequently asked questions\n🌐 Send /lang to change the language',
+    message_sent: '✅ Your message has been sent to the admin. Please wait for a reply.',
+    send_failed: '❌ Sorry, your message could not be sent. Please try again later.',
+    reply_header: '💬 Reply from admin',
+    reply_header_signed: '💬 Reply from admin ({admin})',
+    faq_empty: '📭 There are no FAQs yet. Just send your question and the admin will reply as soon as possible.',
+    faq_title: '📖 *FAQ*\n\nTap a question below to see the answer. If you cannot find what you need, just send a message to the admin.',
+    faq_removed: '⚠️ This question has been removed. Send /faq to see the latest list',
+    rate_limited: '⚠️ You are sending messages too quickly. Further messages in the next {seconds} seconds will not be forwarded to the admin.',
+    away_notice: '🏖️ The admin is away right now. Your message has been forwarded and we will reply when we are back.',
+    off_hours_notice: '🌙 We are currently outside business hours. Your message has been forwarded and we will reply during business hours.\n\n🕐 Business hours: {hours}',
+    verify_prompt: '🔐 *Please verify first*\n\nTo prevent spam, please tap the correct answer below before your first message:\n\n❓ *{question}*\n\nAttempts left: {attempts}',
+    verify_wrong: '❌ Wrong answer, please try again',
+    verify_passed: '✅ *Verified!*\n\nYou can now send messages and they will be forwarded to the admin.',
+    verify_passed_short: '✅ Verified',
+    verify_already: '✅ You are already verified',
+    verify_expired: '⚠️ This verification has expired. Send a message to get a new one',
+    verify_failed: '🚫 Too many failed attempts. You can no longer use this bot.',
+    verify_by_admin: '✅ An admin has verified you. You can now send messages.',
+    lang_usage: '🌐 Current language: {current}\n\nAvailable languages: {languages}\n\n💡 Send `/lang zh` to change the language, or `/lang auto` to follow your Telegram settings',
+    lang_set: '✅ Language set to English',
+    lang_auto: '✅ Language now follows your Telegram settings',
+    lang_unavailable: '⚠️ Changing the language is not available',
+    broadcast_header: '📢 *Announcement:*'
+  }
+}
+
+// 用户语言的显示名称
+const LANGUAGE_NAMES = { zh: '中文', en: 'English' }
+
+// 默认语言：用户的 language_code 不在语言包中时使用（DEFAULT_LANGUAGE 环境变量）
+function getDefaultLanguage(env) {
+  return USER_MESSAGES[env.DEFAULT_LANGUAGE] ? env.DEFAULT_LANGUAGE : 'zh'
+}
+
+// 将Telegram的 language_code（如 zh-hans、en-US）对应到语言包，不支持的语言返回 null
+function resolveLanguage(languageCode) {
+  const base = (languageCode || '').toLowerCase().split('-')[0]
+  return USER_MESSAGES[base] ? base : null
+}
+
+// 确定用户的语言：/lang 设置的语言优先，其次是 language_code（未提供时使用用户记录中保存的），最后是默认语言
+async function getUserLanguage(chatId, languageCode, env) {
+  if (env.USER_STORAGE) {
+    try {
+      const language = await env.USER_STORAGE.get(`lang:${chatId}`)
+      if (USER_MESSAGES[language]) return language
+    } catch (error) {
+      console.error('从KV获取用户语言失败:', error)
+    }
+  }
+
+  const code = languageCode !== undefined ? languageCode : (await getUserRecord(chatId, env))?.languageCode
+  return resolveLanguage(code) || getDefaultLanguage(env)
+}
+
+// 获取管理员通过 /settext 覆盖的文本，键为 文本ID（所有语言）或 文本ID:语言
+async function getCustomTexts(env) {
+  try {
+    if (!env.USER_STORAGE) return {}
+
+    const data = await env.USER_STORAGE.get('custom_texts')
+    return data ? JSON.parse(data) : {}
+  } catch (error) {
+    console.error('从KV获取自定义文本失败:', error)
+    return {}
+  }
+}
+
+// 获取用户的语言和文本函数 text(key, variables)
+async function getUserTexts(chatId, languageCode, env) {
+  const [language, customTexts] = await Promise.all([getUserLanguage(chatId, languageCode, env), getCustomTexts(env)])
+  return { language, text: createTextFunction(language, customTexts) }
+}
+
+// 生成指定语言的文本函数，查找顺序：该语言的自定义文本、所有语言的自定义文本、语言包、中文语言包
+function createTextFunction(language, customTexts) {
+  return (key, variables = {}) => renderTemplate(
+    customTexts[`${key}:${language}`] ?? customTexts[key] ?? USER_MESSAGES[language][key] ?? USER_MESSAGES.zh[key],
+    variables
+  )
+}
+
+// 群发时按接收者生成文本函数的工厂：自定义文本在整个群发中只读取一次，每个接收者只读取其语言
+async function createRecipientTexts(env) {
+  const customTexts = await getCustomTexts(env)
+  return {
+    defaultText: createTextFunction(getDefaultLanguage(env), customTexts),
+    forRecipient: async chatId => createTextFunction(await getUserLanguage(chatId, undefined, env), customTexts)
+  }
+}
+
+// 获取自动回复规则，所有规则保存在同一个键中，每条用户消息只需读取一次KV
+async function getAutoReplyRules(env) {
+  try {
+    if (!env.USER_STORAGE) return { nextId: 1, rules: [] }
+
+    const data = await env.USER_STORAGE.get('autoreply_rules')
+    return data ? JSON.parse(data) : { nextId: 1, rules: [] }
+  } catch (error) {
+    console.error('从KV获取自动回复规则失败:', error)
+    return { nextId: 1, rules: [] }
+  }
+}
+
+// 保存自动回复规则
+async function saveAutoReplyRules(data, env) {
+  await env.USER_STORAGE.put('autoreply_rules', JSON.stringify(data))
+}
+
+// 解析自动回复的匹配条件和回复内容
+// 关键词：营业时间,几点开门 回复内容（逗号分隔多个关键词，包含任一关键词即匹配，不区分大小写）
+// 正则：/^价格|多少钱/i 回复内容（正则中的 / 需转义为 \/）
+function parseAutoReplyRule(text) {
+  const regexMatch = text.match(/^\/((?:\\.|[^\/\\])+)\/([gimsuy]*)\s+([\s\S]+)$/)
+  if (regexMatch) {
+    const [, pattern, flags, response] = regexMatch
+    try {
+      new RegExp(pattern, flags)
+    } catch (error) {
+      return { error: `正则表达式无效: ${error.message}` }
+    }
+    return { type: 'regex', pattern, flags: flags.replace('g', ''), response: response.trim() }
+  }
+
+  const keywordMatch = text.match(/^(\S+)\s+([\s\S]+)$/)
+  if (!keywordMatch) return null
+
+  const keywords = keywordMatch[1].split(/[,，]/).map(k => k.trim().toLowerCase()).filter(Boolean)
+  if (keywords.length === 0) return null
+  return { type: 'keyword', keywords, response: keywordMatch[2].trim() }
+}
+
+// 查找与消息文本匹配的第一条自动回复规则
+function matchAutoReplyRule(rules, text) {
+  if (!text) return null
+
+  const lowerText = text.toLowerCase()
+  return rules.find(rule => {
+    if (rule.type === 'regex') {
+      try {
+        return new RegExp(rule.pattern, rule.flags).test(text)
+      } catch (error) {
+        return false
+      }
+    }
+    return rule.keywords.some(keyword => lowerText.includes(keyword))
+  }) || null
+}
+
+// 自动回复规则的匹配条件显示文本
+function formatAutoReplyPattern(rule) {
+  return rule.type === 'regex' ? `/${rule.pattern}/${rule.flags}` : rule.keywords.join(', ')
+}
+
+// 是否启用论坛话题模式（依赖KV存储保存用户与话题的映射）
+function isForumMode(env) {
+  return env.ENABLE_FORUM_MODE === 'true' && !!env.USER_STORAGE
+}
+
+// 获取用户对应的话题ID
+async function getUserTopicId(chatId, env) {
+  const threadId = await env.USER_STORAGE.get(`topic:user:${chatId}`)
+  return threadId ? parseInt(threadId, 10) : null
+}
+
+// 获取话题对应的用户Chat ID
+async function getTopicUserChatId(threadId, env) {
+  return await env.USER_STORAGE.get(`topic:thread:${threadId}`)
+}
+
+// 为用户创建专属话题并保存双向映射
+async function createUserTopic(userInfo, env) {
+  // 话题名称最长128个字符
+  const topicName = `${userInfo.userName} (${userInfo.chatId})`.substring(0, 128)
+  const result = await createForumTopic(env.ADMIN_CHAT_ID, topicName, env.BOT_TOKEN)
+  const threadId = result.result.message_thread_id
+
+  await env.USER_STORAGE.put(`topic:user:${userInfo.chatId}`, threadId.toString())
+  await env.USER_STORAGE.put(`topic:thread:${threadId}`, userInfo.chatId.toString())
+  await env.USER_STORAGE.delete(`topic:claim:${userInfo.chatId}`)
+  console.log(`已为用户 ${userInfo.userName} 创建话题: ${threadId}`)
+
+  return threadId
+}
+
+// 创建话题的认领记录保留时间、写入认领后等待并发请求的时间，以及等待其他请求创建话题的最长时间和轮询间隔
+const TOPIC_CLAIM_TTL_SECONDS = 60
+const TOPIC_CLAIM_SETTLE_MS = 1000
+const TOPIC_WAIT_MS = 10000
+const TOPIC_POLL_MS = 500
+
+// 同一实例中正在进行的话题创建（用户ID -> Promise），同一用户的并发消息共用一次创建
+const pendingUserTopics = new Map()
+
+// 获取或创建用户的专属话题
+// 用户连续发送多条消息（如相册）时各条消息并发处理：同一实例内共用一次创建，跨实例时通过KV认领记录决定由谁创建
+async function ensureUserTopic(userInfo, env) {
+  const threadId = await getUserTopicId(userInfo.chatId, env)
+  if (threadId) return threadId
+
+  const chatId = userInfo.chatId.toString()
+  if (!pendingUserTopics.has(chatId)) {
+    pendingUserTopics.set(chatId, claimUserTopic(userInfo, env).finally(() => pendingUserTopics.delete(chatId)))
+  }
+  return await pendingUserTopics.get(chatId)
+}
+
+// 写入认领记录，等待片刻后认领仍属于自己的请求创建话题，其他请求等待话题映射写入
+// 认领方创建失败或超时未写入映射时自行创建；KV 是最终一致的，跨地区的并发请求仍可能各自创建话题
+async function claimUserTopic(userInfo, env) {
+  const claimKey = `topic:claim:${userInfo.chatId}`
+  if (!await env.USER_STORAGE.get(claimKey)) {
+    const claimId = Date.now().toString(36) + Math.random().toString(36).substring(2)
+    await env.USER_STORAGE.put(claimKey, claimId, { expirationTtl: TOPIC_CLAIM_TTL_SECONDS })
+    await new Promise(resolve => setTimeout(resolve, TOPIC_CLAIM_SETTLE_MS))
+
+    if (await env.USER_STORAGE.get(claimKey) === claimId) {
+      return await getUserTopicId(userInfo.chatId, env) || await createUserTopic(userInfo, env)
+    }
+  }
+
+  const deadline = Date.now() + TOPIC_WAIT_MS
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, TOPIC_POLL_MS))
+    const threadId = await getUserTopicId(userInfo.chatId, env)
+    if (threadId) return threadId
+  }
+
+  console.warn(`等待用户 ${userInfo.chatId} 的话题创建超时，自行创建话题`)
+  return await createUserTopic(userInfo, env)
+}
+
+// 删除用户的话题映射（话题被删除后重新创建）
+async function resetUserTopic(chatId, env) {
+  const threadId = await getUserTopicId(chatId, env)
+  await env.USER_STORAGE.delete(`topic:user:${chatId}`)
+  await env.USER_STORAGE.delete(`topic:claim:${chatId}`)
+  if (threadId) {
+    await env.USER_STORAGE.delete(`topic:thread:${threadId}`)
+  }
+}
+
+// 解析管理员消息所在的用户话题，返回对应的用户Chat ID（不在用户话题中返回null）
+async function resolveTopicUserChatId(message, env) {
+  if (!isForumMode(env) || !message.is_topic_message || !message.message_thread_id) return null
+  return await getTopicUserChatId(message.message_thread_id, env)
+}
+
+// 判断是否为服务消息（话题创建、成员变动等），这类消息无需处理
+function isServiceMessage(message) {
+  return !!(message.forum_topic_created || message.forum_topic_edited || message.forum_topic_closed ||
+    message.forum_topic_reopened || message.general_forum_topic_hidden || message.general_forum_topic_unhidden ||
+    message.new_chat_members || message.left_chat_member || message.pinned_message ||
+    message.new_chat_title || message.new_chat_photo || message.delete_chat_photo)
+}
+
+// 相册（media group）的各项作为独立更新到达：等待其余项到达的时间，以及相册缓冲在KV中的保留时间
+const ALBUM_SETTLE_MS = 1500
+const ALBUM_TTL_SECONDS = 24 * 60 * 60
+
+// 提取可用于 sendMediaGroup 的媒体描述（相册只可能包含图片、视频、文件和音频）
+function getAlbumMedia(message) {
+  if (message.photo) return { type: 'photo', media: message.photo[message.photo.length - 1].file_id }
+  for (const type of ['video', 'document', 'audio']) {
+    if (message[type]) return { type, media: message[type].file_id }
+  }
+  return null
+}
+
+// 读取某个相册已缓冲的全部项（按消息ID排序）
+async function getMediaGroupItems(chatId, mediaGroupId, env) {
+  const list = await env.USER_STORAGE.list({ prefix: `album:${chatId}:${mediaGroupId}:` })
+  const items = await Promise.all(list.keys.map(key => env.USER_STORAGE.get(key.name, { type: 'json' })))
+  return items.filter(Boolean).sort((a, b) => a.messageId - b.messageId)
+}
+
+// 缓冲相册中的一项：写入KV并等待其余项到达后，由消息ID最大（最后到达）的一项返回整个相册，其余项返回 null
+// 相册缓冲保留一天，管理员之后回复相册中的任一项使用 /post 时可群发整个相册
+// KV 是最终一致的（列表有延迟，读后写不是原子操作），这里的协调只是尽力而为：少数情况下相册会被拆成几部分转发或重复转发
+async function collectMediaGroup(message, env) {
+  const item = {
+    messageId: message.message_id,
+    media: getAlbumMedia(message),
+    caption: message.caption || '',
+    caption_entities: message.caption_entities || []
+  }
+  const groupKey = `${message.chat.id}:${message.media_group_id}`
+  await env.USER_STORAGE.put(`album:${groupKey}:${message.message_id}`, JSON.stringify(item), { expirationTtl: ALBUM_TTL_SECONDS })
+
+  await new Promise(resolve => setTimeout(resolve, ALBUM_SETTLE_MS))
+
+  // KV列表可能有延迟，当前项未出现在列表中时补上
+  const items = await getMediaGroupItems(message.chat.id, message.media_group_id, env)
+  if (!items.some(i => i.messageId === item.messageId)) {
+    items.push(item)
+    items.sort((a, b) => a.messageId - b.messageId)
+  }
+  if (items[items.length - 1].messageId !== item.messageId) return null
+
+  // 延迟到达的项可能也认为自己是最后一项，已记录为发送过的相册跳过（检查与记录之间并非原子操作，只能减少重复）
+  const doneKey = `albumdone:${groupKey}`
+  if (await env.USER_STORAGE.get(doneKey)) return null
+  await env.USER_STORAGE.put(doneKey, '1', { expirationTtl: ALBUM_TTL_SECONDS })
+
+  return items
+}
+
+// 将相册各项的说明合并到一条消息上，用于自动回复匹配、对话记录等按单条消息处理的功能
+function mergeAlbumMessage(message, album) {
+  return {
+    ...message,
+    caption: album.map(item => item.caption).filter(Boolean).join('\n'),
+    caption_entities: undefined
+  }
+}
+
+// 同一实例内的窗口计数（计数键 -> { count, warned, unsynced, syncedAt, expiresAt }）
+const localWindowCounters = new Map()
+
+// 同一个KV计数键的最短写入间隔（Workers KV 同一个键每秒最多写入一次，超出时写入失败）
+const WINDOW_COUNTER_SYNC_MS = 1000
+
+// 本实例内当前窗口的计数，返回 { counterKey, counter }，新窗口开始时清理已过期的计数
+function getLocalWindowCounter(key, windowSeconds, now) {
+  const windowStart = Math.floor(now / 1000 / windowSeconds) * windowSeconds
+  const counterKey = `${key}:${windowStart}`
+
+  let counter = localWindowCounters.get(counterKey)
+  if (!counter) {
+    for (const [name, entry] of localWindowCounters) {
+      if (entry.expiresAt <= now) localWindowCounters.delete(name)
+    }
+    counter = { count: 0, warned: false, unsynced: 0, syncedAt: 0, expiresAt: (windowStart + windowSeconds) * 1000 }
+    localWindowCounters.set(counterKey, counter)
+  }
+  return { counterKey, counter }
+}
+
+// 只在本实例内累加的固定窗口计数器，不读写KV，用于所有请求共用一个计数键的场景（避免单个KV键写入过于集中）
+function incrementLocalWindowCounter(key, windowSeconds) {
+  const { counter } = getLocalWindowCounter(key, windowSeconds, Date.now())
+  counter.count++
+  return counter
+}
+
+// 固定窗口计数器：在本实例内累加计数，每秒最多把新增的计数合并写入一次KV，多个实例的计数通过KV合并（近似值）
+// KV读写失败时抛出错误，未写入的计数保留到下一次合并，窗口不会被重置
+async function incrementWindowCounter(key, windowSeconds, env) {
+  const now = Date.now()
+  const { counterKey, counter } = getLocalWindowCounter(key, windowSeconds, now)
+  counter.count++
+  counter.unsynced++
+
+  if (now - counter.syncedAt >= WINDOW_COUNTER_SYNC_MS) {
+    counter.syncedAt = now
+    const unsynced = counter.unsynced
+
+    const data = await env.USER_STORAGE.get(counterKey)
+    const stored = data ? JSON.parse(data) : { count: 0, warned: false }
+    const merged = { count: stored.count + unsynced, warned: stored.warned || counter.warned }
+    // KV的过期时间最短为60秒
+    await env.USER_STORAGE.put(counterKey, JSON.stringify(merged), {
+      expirationTtl: Math.max(60, windowSeconds * 2)
+    })
+
+    counter.unsynced -= unsynced
+    counter.count = Math.max(counter.count, merged.count + counter.unsynced)
+    counter.warned = merged.warned
+  }
+
+  return counter
+}
+
+// 检查用户是否超出发送频率限制（计数为近似值，见 incrementWindowCounter）
+// 返回 { allowed, warn, autoBanned }：首次超限时 warn 为 true，之后的消息直接丢弃
+async function checkRateLimit(chatId, env) {
+  const maxMessages = parseInt(env.RATE_LIMIT_MAX || '0', 10)
+  if (!env.USER_STORAGE || !maxMessages) return { allowed: true }
+
+  const windowSeconds = parseInt(env.RATE_LIMIT_WINDOW || '60', 10) || 60
+  let counter
+  try {
+    counter = await incrementWindowCounter(`rate:${chatId}`, windowSeconds, env)
+  } catch (error) {
+    // 计数器读写失败多发生在刷屏时（同一个键写入过于频繁），丢弃该消息，避免刷屏消息绕过限流
+    console.error('检查发送频率失败，丢弃消息:', error)
+    return { allowed: false }
+  }
+
+  if (counter.count <= maxMessages) return { allowed: true }
+  if (counter.warned) return { allowed: false }
+
+  // 首次超限：标记已警告（下次合并计数时写入KV），并累计违规次数
+  counter.warned = true
+
+  const autoBanThreshold = parseInt(env.RATE_LIMIT_AUTO_BAN || '0', 10)
+  if (!autoBanThreshold) return { allowed: false, warn: true }
+
+  try {
+    const strikesKey = `rate:strikes:${chatId}`
+    const strikes = parseInt(await env.USER_STORAGE.get(strikesKey) || '0', 10) + 1
+    await env.USER_STORAGE.put(strikesKey, strikes.toString(), { expirationTtl: 24 * 60 * 60 })
+
+    if (strikes >= autoBanThreshold) {
+      await banUser(chatId, { reason: `发送频率超限 ${strikes} 次，自动封禁`, bannedBy: '自动防刷' }, env)
+      await env.USER_STORAGE.delete(strikesKey)
+      return { allowed: false, autoBanned: true, strikes }
+    }
+
+    return { allowed: false, warn: true, strikes }
+  } catch (error) {
+    console.error('记录限流违规次数失败:', error)
+    return { allowed: false, warn: true }
+  }
+}
+
+// 处理超出频率限制的用户消息
+async function handleRateLimitedUser(userInfo, rateLimit, env) {
+  console.log(`用户 ${userInfo.userName} (${userInfo.chatId}) 发送频率超限，消息已丢弃`)
+
+  if (rateLimit.autoBanned) {
+    await sendMessage(env.ADMIN_CHAT_ID,
+      `🚫 用户 *${escapeMarkdown(userInfo.userName)}* (\`${userInfo.chatId}\`) 多次发送频率超限，已自动封禁\n\n使用 \`/unban ${userInfo.chatId}\` 解除封禁`,
+      env.BOT_TOKEN
+    )
+    return
+  }
+
+  if (rateLimit.warn) {
+    const windowSeconds = parseInt(env.RATE_LIMIT_WINDOW || '60', 10) || 60
+    const { text } = await getUserTexts(userInfo.chatId, userInfo.languageCode, env)
+    await sendMessage(userInfo.chatId, text('rate_limited', { seconds: windowSeconds }), env.BOT_TOKEN)
+  }
+}
+
+// 是否启用新用户人机验证（需要KV存储）
+function isVerificationEnabled(env) {
+  return env.ENABLE_VERIFICATION === 'true' && !!env.USER_STORAGE
+}
+
+// 获取用户的验证记录：{ status: 'pending', answer, nonce, attempts } 或 { status: 'verified', verifiedAt, verifiedBy }
+async function getVerificationRecord(chatId, env) {
+  try {
+    const data = await env.USER_STORAGE.get(`verify:${chatId}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('从KV获取验证记录失败:', error)
+    return null
+  }
+}
+
+// 将用户标记为已验证
+async function markUserVerified(chatId, verifiedBy, env) {
+  await env.USER_STORAGE.put(`verify:${chatId}`, JSON.stringify({
+    status: 'verified',
+    verifiedAt: new Date().toISOString(),
+    verifiedBy
+  }))
+}
+
+// 用户是否已通过验证；启用验证前已跟踪的老用户直接视为已验证
+async function isUserVerified(chatId, env) {
+  const record = await getVerificationRecord(chatId, env)
+  if (record) return record.status === 'verified'
+
+  if (await getUserRecord(chatId, env)) {
+    await markUserVerified(chatId, '已有用户', env)
+    return true
+  }
+  return false
+}
+
+// 生成算术验证题：两数相加，四个选项中只有一个正确
+function createVerificationChallenge() {
+  const a = Math.floor(Math.random() * 20) + 1
+  const b = Math.floor(Math.random() * 20) + 1
+  const answer = a + b
+
+  const options = new Set([answer])
+  while (options.size < 4) {
+    const candidate = answer + Math.floor(Math.random() * 11) - 5
+    if (candidate > 0) options.add(candidate)
+  }
+
+  return {
+    question: `${a} + ${b} = ?`,
+    answer,
+    options: [...options].sort(() => Math.random() - 0.5),
+    nonce: Math.random().toString(36).substring(2, 8)
+  }
+}
+
+// 验证消息的文本和按钮，回调数据为 verify:<nonce>:<选项>，旧题目的按钮点击后视为过期
+// text 为用户的文本函数（见 getUserTexts）
+function buildVerificationMessage(challenge, remainingAttempts, text, prefix = '') {
+  return {
+    text: `${prefix}${text('verify_prompt', { question: challenge.question, attempts: remainingAttempts })}`,
+    reply_markup: {
+      inline_keyboard: [challenge.options.map(option => ({
+        text: option.toString(),
+        callback_data: `verify:${challenge.nonce}:${option}`
+      }))]
+    }
+  }
+}
+
+// 验证允许的错误次数
+function getVerifyMaxAttempts(env) {
+  return parseInt(env.VERIFY_MAX_ATTEMPTS || '3', 10) || 3
+}
+
+// 向未验证的用户发送新的验证题，已用掉的机会保留（待验证记录1天后过期）
+async function sendVerificationChallenge(chatId, text, env) {
+  const record = await getVerificationRecord(chatId, env)
+  const attempts = record?.status === 'pending' ? record.attempts : 0
+  const challenge = createVerificationChallenge()
+
+  await env.USER_STORAGE.put(`verify:${chatId}`, JSON.stringify({
+    status: 'pending',
+    answer: challenge.answer,
+    nonce: challenge.nonce,
+    attempts
+  }), { expirationTtl: 24 * 60 * 60 })
+
+  const verification = buildVerificationMessage(challenge, getVerifyMaxAttempts(env) - attempts, text)
+  await sendMessage(chatId, verification.text, env.BOT_TOKEN, { reply_markup: verification.reply_markup })
+}
+
+// 同一实例内已发送过验证题的相册（聊天ID:相册ID -> 过期时间）
+const challengedMediaGroups = new Map()
+
+// 相册验证标记的保留时间（相册各项通常在几秒内到达，60秒为KV允许的最短过期时间）
+const VERIFY_ALBUM_TTL_SECONDS = 60
+
+// 未验证用户发送相册时只由第一项发送验证题，返回当前消息是否应发送验证题
+// 同一实例内的并发项由内存标记拦截，其他实例的项由KV标记拦截（读后写不是原子操作，少数情况下仍可能多发一道题）
+async function claimAlbumChallenge(message, env) {
+  if (!message.media_group_id) return true
+
+  const groupKey = `${message.chat.id}:${message.media_group_id}`
+  const now = Date.now()
+  if (challengedMediaGroups.get(groupKey) > now) return false
+
+  for (const [name, expiresAt] of challengedMediaGroups) {
+    if (expiresAt <= now) challengedMediaGroups.delete(name)
+  }
+  challengedMediaGroups.set(groupKey, now + VERIFY_ALBUM_TTL_SECONDS * 1000)
+
+  const markerKey = `verifyalbum:${groupKey}`
+  if (await env.USER_STORAGE.get(markerKey)) return false
+  await env.USER_STORAGE.put(markerKey, '1', { expirationTtl: VERIFY_ALBUM_TTL_SECONDS })
+  return true
+}
+
+// 处理用户点击验证题选项：答对则通过验证，答错换一道题，错误次数用尽后自动封禁
+async function handleVerifyCallback(callbackQuery, nonce, value, env) {
+  const chatId = callbackQuery.message.chat.id
+  const messageId = callbackQuery.message.message_id
+  const record = await getVerificationRecord(chatId, env)
+  const { text } = await getUserTexts(chatId, callbackQuery.from.language_code, env)
+
+  if (record?.status === 'verified') {
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: text('verify_already') })
+    return
+  }
+
+  if (!record || record.nonce !== nonce) {
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: text('verify_expired') })
+    return
+  }
+
+  if (value === record.answer) {
+    await markUserVerified(chatId, '人机验证', env)
+    await editMessageText(chatId, messageId, text('verify_passed'), env.BOT_TOKEN)
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: text('verify_passed_short') })
+    console.log(`用户 ${chatId} 通过人机验证`)
+    return
+  }
+
+  const attempts = record.attempts + 1
+  const maxAttempts = getVerifyMaxAttempts(env)
+
+  if (attempts >= maxAttempts) {
+    await banUser(chatId, { reason: `人机验证失败 ${attempts} 次，自动封禁`, bannedBy: '自动验证' }, env)
+    await env.USER_STORAGE.delete(`verify:${chatId}`)
+    await editMessageText(chatId, messageId, text('verify_failed'), env.BOT_TOKEN)
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN)
+
+    const userName = callbackQuery.from.username || callbackQuery.from.first_name || 'Unknown'
+    await sendMessage(env.ADMIN_CHAT_ID,
+      `🚫 用户 *${escapeMarkdown(userName)}* (\`${chatId}\`) 人机验证失败 ${attempts} 次，已自动封禁\n\n使用 \`/verify ${chatId}\` 手动通过验证并解除封禁`,
+      env.BOT_TOKEN
+    )
+    return
+  }
+
+  // 答错：换一道新题，避免逐个尝试选项
+  const challenge = createVerificationChallenge()
+  await env.USER_STORAGE.put(`verify:${chatId}`, JSON.stringify({
+    status: 'pending',
+    answer: challenge.answer,
+    nonce: challenge.nonce,
+    attempts
+  }), { expirationTtl: 24 * 60 * 60 })
+
+  const verification = buildVerificationMessage(challenge, maxAttempts - attempts, text, `${text('verify_wrong')}\n\n`)
+  await editMessageText(chatId, messageId, verification.text, env.BOT_TOKEN, { reply_markup: verification.reply_markup })
+  await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: text('verify_wrong') })
+}
+
+// 用户收到的群发消息文本（预览、发送和编辑共用，确保预览与实际发送一致），标题使用接收者的语言
+function formatBroadcastText(message, text) {
+  return `${text('broadcast_header')}\n\n${message}`
+}
+
+// 群发内容的格式：标题和正文按 Markdown 解析，格式解析失败时以纯文本重试
+const BROADCAST_PARSE_MODE = 'Markdown'
+
+// 构建群发相册的媒体列表，群发内容作为第一项的说明
+function buildBroadcastMediaGroup(mediaGroup, message, text) {
+  return mediaGroup.map((media, index) => index === 0
+    ? { ...media, caption: formatBroadcastText(message, text), parse_mode: BROADCAST_PARSE_MODE }
+    : media)
+}
+
+// 发送群发内容（群发、预览共用）：content 为 { isMedia, mediaMessageId, mediaGroup }，返回送达的消息ID列表
+async function sendBroadcastContent(chatId, message, text, content, env, options = {}, retryOptions = {}) {
+  if (content.mediaGroup) {
+    const result = await sendMediaGroup(chatId, buildBroadcastMediaGroup(content.mediaGroup, message, text), env.BOT_TOKEN, options, retryOptions)
+    return result.result.map(m => m.message_id)
+  }
+
+  const formatted = formatBroadcastText(message, text)
+  const result = content.isMedia
+    ? await copyMessage(chatId, env.ADMIN_CHAT_ID, content.mediaMessageId, env.BOT_TOKEN, { caption: formatted, parse_mode: BROADCAST_PARSE_MODE, ...options }, retryOptions)
+    : await sendMessage(chatId, formatted, env.BOT_TOKEN, { parse_mode: BROADCAST_PARSE_MODE, ...options }, retryOptions)
+  return [result.result.message_id]
+}
+
+// 修改已送达的群发内容，格式与 sendBroadcastContent 相同（相册的说明在第一项上）
+async function editBroadcastContent(chatId, messageId, message, text, isMedia, env) {
+  const formatted = formatBroadcastText(message, text)
+  const options = { parse_mode: BROADCAST_PARSE_MODE }
+  return isMedia
+    ? await editMessageCaption(chatId, messageId, formatted, env.BOT_TOKEN, options)
+    : await editMessageText(chatId, messageId, formatted, env.BOT_TOKEN, options)
+}
+
+// 群发消息功能，mediaOptions.mediaGroup 不为空时以相册形式群发
+// 指定 deadline 时限流等待不会超过截止时间，来不及等待的接收者标记为 deferred，由下一次运行发送
+async function broadcastMessage(userIds, message, env, isMedia = false, mediaOptions = {}, deadline = null) {
+  // outcomes 记录每个接收者的发送结果，供群发任务跟踪进度
+  const results = { success: 0, failed: 0, errors: [], outcomes: [] }
+  
+  // 获取实际的用户ID列表
+  let targetUserIds = []
+  if (userIds === 'all') {
+    const users = await getUsersFromKV(env)
+    targetUserIds = users.filter(isUserActive).map(u => u.chatId)
+    if (targetUserIds.length === 0) {
+      return { success: 0, failed: 1, errors: ['未找到可广播的用户，请确保已启用用户跟踪功能'] }
+    }
+  } else {
+    targetUserIds = userIds
+  }
+  
+  if (targetUserIds.length === 0) {
+    return { success: 0, failed: 1, errors: ['未指定有效的用户ID'] }
+  }
+  
+  const recipientTexts = await createRecipientTexts(env)
+
+  // 限制并发数量以避免API限制
+  const batchSize = 10
+  for (let i = 0; i < targetUserIds.length; i += batchSize) {
+    const batch = targetUserIds.slice(i, i + batchSize)
+    
+    const promises = batch.map(async (chatId) => {
+      try {
+        const text = await recipientTexts.forRecipient(chatId)
+        const messageIds = await sendBroadcastContent(chatId, message, text, {
+          isMedia,
+          mediaMessageId: mediaOptions.messageId,
+          mediaGroup: isMedia ? mediaOptions.mediaGroup : null
+        }, env, {}, { deadline })
+        results.success++
+        // 相册送达多条消息，撤回时需要全部删除
+        results.outcomes.push({ chatId, ok: true, messageId: messageIds[0], messageIds: messageIds.length > 1 ? messageIds : undefined })
+      } catch (error) {
+        // 截止时间前来不及等待限流结束，不计为失败
+        if (deadline && error.errorCode === 429) {
+          results.outcomes.push({ chatId, ok: false, deferred: true })
+          return
+        }
+
+        results.failed++
+        results.errors.push(`用户 ${chatId}: ${error.description || error.message}`)
+        results.outcomes.push({ chatId, ok: false, error: error.description || error.message })
+        console.error(`发送给用户 ${chatId} 失败:`, error)
+
+        const unreachableReason = getUnreachableReason(error)
+        if (unreachableReason) {
+          await markUserInactive(chatId, unreachableReason, env)
+        }
+      }
+    })
+    
+    await Promise.allSettled(promises)
+    
+    // 添加短暂延迟以避免触发速率限制
+    if (i + batchSize < targetUserIds.length) {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+  }
+  
+  return results
+}
+
+// 群发任务：每批处理的接收者数量、单次运行的时间预算和处理租约时长
+const BROADCAST_CHUNK_SIZE = 50
+const BROADCAST_TIME_BUDGET_MS = 20000
+const BROADCAST_LEASE_MS = 60000
+
+// 生成群发任务ID（时间戳+随机后缀）
+function generateJobId() {
+  return Date.now().toString(36) + Math.random().toString(36).substring(2, 6)
+}
+
+// 获取群发任务
+async function getBroadcastJob(jobId, env) {
+  try {
+    const data = await env.USER_STORAGE.get(`job:${jobId}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('从KV获取群发任务失败:', error)
+    return null
+  }
+}
+
+// 保存群发任务，元数据中保存进度摘要供 /jobs 列表使用；已结束的任务7天后过期，未确认的草稿1天后过期
+async function saveBroadcastJob(job, env) {
+  job.updatedAt = new Date().toISOString()
+
+  const metadata = {
+    id: job.id,
+    status: job.status,
+    total: job.recipients.length,
+    success: job.success,
+    failed: job.failed,
+    createdAt: job.createdAt
+  }
+  const options = { metadata }
+  if (job.status === 'completed' || job.status === 'cancelled') {
+    options.expirationTtl = 7 * 24 * 60 * 60
+  } else if (job.status === 'draft') {
+    options.expirationTtl = 24 * 60 * 60
+  }
+
+  await env.USER_STORAGE.put(`job:${job.id}`, JSON.stringify(job), options)
+}
+
+// 创建群发任务，目标用户在创建时确定，每个接收者单独记录发送状态
+// draft 为 true 时创建待确认的草稿，确认后才开始发送
+async function createBroadcastJob({ targets, message, isMedia = false, mediaMessageId = null, mediaGroup = null, createdBy = '', scheduleId = null, draft = false }, env) {
+  const { userIds: targetUserIds, segments, skipped } = await resolvePostTargets(targets, env)
+
+  const job = {
+    id: generateJobId(),
+    status: draft ? 'draft' : 'pending',
+    message,
+    isMedia,
+    mediaMessageId,
+    mediaGroup,
+    recipients: [...new Set(targetUserIds.map(id => id.toString()))].map(chatId => ({ chatId, status: 'pending' })),
+    success: 0,
+    failed: 0,
+    segments,
+    skipped,
+    errors: [],
+    statusMessageId: null,
+    leaseUntil: 0,
+    createdBy,
+    scheduleId,
+    createdAt: new Date().toISOString()
+  }
+
+  await saveBroadcastJob(job, env)
+  return job
+}
+
+// 列出群发任务（按创建时间倒序）
+async function listBroadcastJobs(env) {
+  const jobs = []
+  let cursor
+
+  do {
+    const page = await env.USER_STORAGE.list({ prefix: 'job:', cursor })
+    for (const key of page.keys) {
+      if (key.metadata) jobs.push(key.metadata)
+    }
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor)
+
+  return jobs.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+}
+
+// 群发任务状态的显示文本
+const JOB_STATUS_LABELS = {
+  draft: '📝 待确认',
+  pending: '⏳ 等待中',
+  running: '🚀 进行中',
+  completed: '✅ 已完成',
+  cancelled: '🛑 已取消'
+}
+
+// 格式化每个群发目标匹配的用户数
+function formatTargetSegments(segments) {
+  if (!segments || segments.length === 0) return ''
+
+  const lines = segments.map(segment => segment.excluded
+    ? `• 排除 ${segment.label.substring(1)}: ${segment.count} 人`
+    : `• ${segment.label}: ${segment.count} 人`)
+  return `\n🎯 目标分组:\n${lines.join('\n')}`
+}
+
+// 格式化群发任务进度
+function formatJobProgress(job) {
+  const total = job.recipients.length
+  const done = job.success + job.failed
+  const title = job.status === 'completed'
+    ? '📊 *群发完成*'
+    : job.status === 'cancelled'
+      ? '🛑 *群发已取消*'
+      : job.status === 'draft'
+        ? `📝 *${job.isMedia ? '媒体' : ''}群发预览*`
+        : `🚀 开始群发${job.isMedia ? '媒体' : ''}消息...`
+
+  const summary = `${title}\n\n🆔 任务: \`${job.id}\`${job.scheduleId ? `\n⏰ 定时群发: \`${job.scheduleId}\`` : ''}${formatTargetSegments(job.segments)}\n📊 目标用户数: ${total}${job.skipped ? `\n⏭️ 已跳过停用用户: ${job.skipped}` : ''}`
+  if (job.status === 'draft') {
+    return `${summary}\n\n👆 以上为用户将收到的消息，确认后开始发送`
+  }
+
+  return `${summary}\n📈 进度: ${done}/${total}\n✅ 成功: ${job.success}\n❌ 失败: ${job.failed}${job.recalled ? `\n🗑️ 已撤回: ${job.recalled}` : ''}${job.status === 'running' || job.status === 'pending' ? `\n\n⏳ 请稍候... 使用 \`/cancel ${job.id}\` 取消` : ''}`
+}
+
+// 编辑 "开始群发" 状态消息以显示最新进度
+async function updateJobStatusMessage(job, env) {
+  if (!job.statusMessageId) return
+
+  try {
+    await editMessageText(env.ADMIN_CHAT_ID, job.statusMessageId, formatJobProgress(job), env.BOT_TOKEN)
+  } catch (error) {
+    console.error(`更新群发任务 ${job.id} 进度失败:`, error)
+  }
+}
+
+// 格式化群发结果报告
+function formatBroadcastReport(results, isMedia = false) {
+  if (isMedia) {
+    return `📊 *媒体群发完成*\n\n✅ 成功: ${results.success}\n❌ 失败: ${results.failed}`
+  }
+
+  return `📊 *群发完成报告*\n\n✅ 成功: ${results.success}\n❌ 失败: ${results.failed}\n\n${results.errors.length > 0 ? `🔍 *错误详情:*\n${results.errors.slice(0, 5).join('\n')}${results.errors.length > 5 ? `\n... 还有 ${results.errors.length - 5} 个错误` : ''}` : '🎉 全部发送成功！'}`
+}
+
+// 分批执行群发任务，直到完成、被取消或用完时间预算；未完成的部分由定时任务继续处理
+async function runBroadcastJob(jobId, env, timeBudgetMs = BROADCAST_TIME_BUDGET_MS) {
+  const deadline = Date.now() + timeBudgetMs
+
+  let job = await getBroadcastJob(jobId, env)
+  if (!job || (job.status !== 'pending' && job.status !== 'running')) return job
+
+  // 其他实例正在处理该任务
+  // 租约不是锁：KV 最终一致且检查与写入不是原子操作，定时任务和确认回调可能同时取得租约，少数情况下同一批用户会收到重复消息
+  if (job.leaseUntil > Date.now()) return job
+
+  job.status = 'running'
+  job.leaseUntil = Date.now() + BROADCAST_LEASE_MS
+  await saveRunningBroadcastJob(job, env)
+  if (job.status === 'cancelled') return job
+
+  while (Date.now() < deadline) {
+    const chunk = job.recipients.filter(r => r.status === 'pending').slice(0, BROADCAST_CHUNK_SIZE)
+    if (chunk.length === 0) {
+      job.status = 'completed'
+      job.completedAt = new Date().toISOString()
+      break
+    }
+
+    const results = await broadcastMessage(chunk.map(r => r.chatId), job.message, env, job.isMedia, {
+      messageId: job.mediaMessageId,
+      mediaGroup: job.mediaGroup
+    }, deadline)
+
+    // 记录每个接收者的发送结果，因限流推迟的接收者保持 pending
+    const outcomes = new Map(results.outcomes.map(o => [o.chatId.toString(), o]))
+    for (const recipient of chunk) {
+      const outcome = outcomes.get(recipient.chatId)
+      if (!outcome || outcome.deferred) continue
+      recipient.status = outcome.ok ? 'sent' : 'failed'
+      if (outcome.messageId) recipient.messageId = outcome.messageId
+      if (outcome.messageIds) recipient.messageIds = outcome.messageIds
+      if (outcome.error) recipient.error = outcome.error
+    }
+    job.success += results.success
+    job.failed += results.failed
+    job.errors = [...job.errors, ...results.errors].slice(0, 20)
+
+    if (!job.recipients.some(r => r.status === 'pending')) {
+      job.status = 'completed'
+      job.completedAt = new Date().toISOString()
+      break
+    }
+
+    // 保存进度，任务已被管理员取消时停止发送
+    job.leaseUntil = Date.now() + BROADCAST_LEASE_MS
+    await saveRunningBroadcastJob(job, env)
+    if (job.status === 'cancelled') break
+
+    // 被限流时结束本次运行，推迟的接收者由定时任务继续发送
+    if (results.outcomes.some(o => o.deferred)) break
+    await updateJobStatusMessage(job, env)
+  }
+
+  // 释放租约，未完成的任务由定时任务继续
+  job.leaseUntil = 0
+  await saveRunningBroadcastJob(job, env)
+  await updateJobStatusMessage(job, env)
+
+  if (job.status === 'completed') {
+    await sendMessage(env.ADMIN_CHAT_ID, formatBroadcastReport(job, job.isMedia), env.BOT_TOKEN)
+    console.log(`群发任务 ${job.id} 完成: 成功 ${job.success}, 失败 ${job.failed}`)
+  }
+
+  return job
+}
+
+// 继续处理所有未完成的群发任务（由定时任务调用）
+async function processPendingBroadcastJobs(env) {
+  if (!env.USER_STORAGE) return
+
+  const deadline = Date.now() + BROADCAST_TIME_BUDGET_MS
+  const jobs = await listBroadcastJobs(env)
+  const activeJobs = jobs.filter(j => j.status === 'pending' || j.status === 'running').reverse()
+
+  for (const job of activeJobs) {
+    const remaining = deadline - Date.now()
+    if (remaining <= 0) break
+    await runBroadcastJob(job.id, env, remaining)
+  }
+}
+
+// 保存发送中的群发任务：保存前重新读取，管理员在此期间取消的任务保持取消状态，不会被进度覆盖为 running
+// 读取与写入之间仍有很短的时间窗口，此时的取消会在下一批保存时生效
+async function saveRunningBroadcastJob(job, env) {
+  const latest = await getBroadcastJob(job.id, env)
+  if (job.status === 'running' && latest?.status === 'cancelled') {
+    job.status = 'cancelled'
+    job.cancelledAt = latest.cancelledAt
+  }
+  await saveBroadcastJob(job, env)
+}
+
+// 取消群发任务，返回取消后的任务（不存在返回null）
+async function cancelBroadcastJob(jobId, env) {
+  const job = await getBroadcastJob(jobId, env)
+  if (!job) return null
+  if (job.status === 'completed' || job.status === 'cancelled') return job
+
+  job.status = 'cancelled'
+  job.cancelledAt = new Date().toISOString()
+  await saveBroadcastJob(job, env)
+  await updateJobStatusMessage(job, env)
+  return job
+}
+
+// 确认草稿群发任务，之后由 runBroadcastJob 或定时任务发送
+async function confirmBroadcastJob(job, env) {
+  job.status = 'pending'
+  job.confirmedAt = new Date().toISOString()
+  await saveBroadcastJob(job, env)
+  await updateJobStatusMessage(job, env)
+  return job
+}
+
+// 对已送达的群发消息逐个执行操作（撤回或编辑），分批处理以避免触发速率限制
+async function applyToDeliveredBroadcast(job, action) {
+  const results = { success: 0, failed: 0, errors: [] }
+  const delivered = job.recipients.filter(r => r.status === 'sent' && r.messageId)
+
+  const batchSize = 10
+  for (let i = 0; i < delivered.length; i += batchSize) {
+    const batch = delivered.slice(i, i + batchSize)
+
+    await Promise.allSettled(batch.map(async (recipient) => {
+      try {
+        await action(recipient)
+        results.success++
+      } catch (error) {
+        results.failed++
+        results.errors.push(`用户 ${recipient.chatId}: ${error.description || error.message}`)
+        console.error(`处理用户 ${recipient.chatId} 的群发消息失败:`, error)
+      }
+    }))
+
+    if (i + batchSize < delivered.length) {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+  }
+
+  return results
+}
+
+// 撤回群发：从每个接收者的聊天中删除已送达的消息（Telegram只允许删除48小时内的消息）
+async function recallBroadcastJob(job, env) {
+  const results = await applyToDeliveredBroadcast(job, async (recipient) => {
+    for (const messageId of recipient.messageIds || [recipient.messageId]) {
+      await deleteMessage(recipient.chatId, messageId, env.BOT_TOKEN)
+    }
+    recipient.status = 'recalled'
+  })
+
+  job.recalled = (job.recalled || 0) + results.success
+  job.recalledAt = new Date().toISOString()
+  await saveBroadcastJob(job, env)
+  await updateJobStatusMessage(job, env)
+  return results
+}
+
+// 修改群发内容：编辑每个接收者已收到的消息
+async function editBroadcastJob(job, newMessage, env) {
+  const recipientTexts = await createRecipientTexts(env)
+  const results = await applyToDeliveredBroadcast(job, async (recipient) => {
+    const text = await recipientTexts.forRecipient(recipient.chatId)
+    try {
+      await editBroadcastContent(recipient.chatId, recipient.messageId, newMessage, text, job.isMedia, env)
+    } catch (error) {
+      // 内容未变化不算失败
+      if (!/message is not modified/i.test(error.description || '')) throw error
+    }
+  })
+
+  job.message = newMessage
+  job.editedAt = new Date().toISOString()
+  await saveBroadcastJob(job, env)
+  return results
+}
+
+// 默认时区，未设置 TIMEZONE 或设置无效时使用
+const DEFAULT_TIME_ZONE = 'Asia/Shanghai'
+
+// 时间显示和定时群发使用的时区（TIMEZONE 环境变量）
+function getTimeZone(env) {
+  const timeZone = env.TIMEZONE || DEFAULT_TIME_ZONE
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return timeZone
+  } catch (error) {
+    console.error('TIMEZONE 无效，使用默认时区:', error)
+    return DEFAULT_TIME_ZONE
+  }
+}
+
+// 按配置的时区格式化显示时间，options 可指定显示的字段
+function formatTime(time, env, options = {}) {
+  return new Date(time).toLocaleString('zh-CN', { timeZone: getTimeZone(env), ...options })
+}
+
+// 星期缩写，下标与 Date.getDay() 一致
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六']
+
+// 获取某一时刻在指定时区的日期时间分量
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date)
+  const get = type => parts.find(p => p.type === type).value
+
+  return {
+    year: parseInt(get('year'), 10),
+    month: parseInt(get('month'), 10),
+    day: parseInt(get('day'), 10),
+    hour: parseInt(get('hour'), 10),
+    minute: parseInt(get('minute'), 10),
+    weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase())
+  }
+}
+
+// 将指定时区的本地时间转换为UTC时间戳（日期溢出时自动进位，如 day+1）
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute)
+  const parts = getZonedParts(new Date(guess), timeZone)
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - guess
+  return guess - offset
+}
+
+// 解析定时规则：YYYY-MM-DDTHH:MM、HH:MM（一次性），daily@HH:MM、weekly@mon@HH:MM（重复）
+function parseScheduleSpec(spec) {
+  if (!spec) return null
+
+  const validTime = (hour, minute) => hour < 24 && minute < 60
+
+  let match = spec.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{1,2}):(\d{2})$/)
+  if (match) {
+    const [year, month, day, hour, minute] = match.slice(1).map(n => parseInt(n, 10))
+    // 通过 Date.UTC 换算后比较年月日，拒绝不存在的日期（如 2026-02-31 会被进位为3月3日）
+    const date = new Date(Date.UTC(year, month - 1, day))
+    const validDate = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    if (!validTime(hour, minute) || !validDate) return null
+    return { type: 'once', date: { year, month, day }, hour, minute }
+  }
+
+  match = spec.match(/^(?:(daily)@)?(\d{1,2}):(\d{2})$/i)
+  if (match) {
+    const [hour, minute] = match.slice(2).map(n => parseInt(n, 10))
+    if (!validTime(hour, minute)) return null
+    return { type: match[1] ? 'daily' : 'once', hour, minute }
+  }
+
+  match = spec.match(/^weekly@(\w{3})@(\d{1,2}):(\d{2})$/i)
+  if (match) {
+    const weekday = WEEKDAYS.indexOf(match[1].toLowerCase())
+    const [hour, minute] = match.slice(2).map(n => parseInt(n, 10))
+    if (weekday === -1 || !validTime(hour, minute)) return null
+    return { type: 'weekly', weekday, hour, minute }
+  }
+
+  return null
+}
+
+// 计算定时规则在某一时刻之后的下一次执行时间（UTC时间戳），一次性规则已过期时返回null
+// 规则中的时间按 timeZone 时区解释
+function getNextScheduleRun(rule, after, timeZone) {
+  const { hour, minute } = rule
+
+  if (rule.date) {
+    const runAt = zonedTimeToUtc({ ...rule.date, hour, minute }, timeZone)
+    return runAt > after ? runAt : null
+  }
+
+  const today = getZonedParts(new Date(after), timeZone)
+  let daysAhead = rule.type === 'weekly' ? (rule.weekday - today.weekday + 7) % 7 : 0
+  let runAt = zonedTimeToUtc({ ...today, day: today.day + daysAhead, hour, minute }, timeZone)
+  if (runAt <= after) {
+    daysAhead += rule.type === 'weekly' ? 7 : 1
+    runAt = zonedTimeToUtc({ ...today, day: today.day + daysAhead, hour, minute }, timeZone)
+  }
+  return runAt
+}
+
+// 定时规则的显示文本
+function formatScheduleRule(rule) {
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')}`
+  if (rule.type === 'daily') return `每天 ${time}`
+  if (rule.type === 'weekly') return `每周${WEEKDAY_LABELS[rule.weekday]} ${time}`
+  return '一次性'
+}
+
+// 获取定时群发
+async function getBroadcastSchedule(scheduleId, env) {
+  try {
+    const data = await env.USER_STORAGE.get(`schedule:${scheduleId}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('从KV获取定时群发失败:', error)
+    return null
+  }
+}
+
+// 保存定时群发，元数据中保存下次执行时间，定时任务只需列出键即可找到到期的计划
+async function saveBroadcastSchedule(schedule, env) {
+  await env.USER_STORAGE.put(`schedule:${schedule.id}`, JSON.stringify(schedule), {
+    metadata: {
+      id: schedule.id,
+      spec: schedule.spec,
+      nextRunAt: schedule.nextRunAt
+    }
+  })
+}
+
+// 创建定时群发，目标分组在每次执行时重新解析
+async function createBroadcastSchedule({ spec, targets, message, isMedia = false, mediaMessageId = null, mediaGroup = null, createdBy = '' }, env) {
+  const rule = parseScheduleSpec(spec)
+  const nextRunAt = getNextScheduleRun(rule, Date.now(), getTimeZone(env))
+
+  const schedule = {
+    id: generateJobId(),
+    spec,
+    rule,
+    targets,
+    message,
+    isMedia,
+    mediaMessageId,
+    mediaGroup,
+    nextRunAt,
+    runCount: 0,
+    lastRunAt: null,
+    lastJobId: null,
+    createdBy,
+    createdAt: new Date().toISOString()
+  }
+
+  await saveBroadcastSchedule(schedule, env)
+  return schedule
+}
+
+// 列出定时群发（按下次执行时间排序）
+async function listBroadcastSchedules(env) {
+  const schedules = []
+  let cursor
+
+  do {
+    const page = await env.USER_STORAGE.list({ prefix: 'schedule:', cursor })
+    for (const key of page.keys) {
+      if (key.metadata) schedules.push(key.metadata)
+    }
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor)
+
+  return schedules.sort((a, b) => a.nextRunAt - b.nextRunAt)
+}
+
+// 删除定时群发，返回是否存在
+async function deleteBroadcastSchedule(scheduleId, env) {
+  const existing = await env.USER_STORAGE.get(`schedule:${scheduleId}`)
+  if (!existing) return false
+
+  await env.USER_STORAGE.delete(`schedule:${scheduleId}`)
+  return true
+}
+
+// 触发一个到期的定时群发：创建群发任务，重复计划推进到下一次执行时间，一次性计划删除
+async function fireBroadcastSchedule(scheduleId, env) {
+  const schedule = await getBroadcastSchedule(scheduleId, env)
+  if (!schedule || schedule.nextRunAt > Date.now()) return
+
+  // 先推进或删除计划，避免下一次定时任务重复触发
+  const now = Date.now()
+  const nextRunAt = schedule.rule.type === 'once' ? null : getNextScheduleRun(schedule.rule, now, getTimeZone(env))
+  if (nextRunAt) {
+    schedule.nextRunAt = nextRunAt
+    schedule.runCount++
+    schedule.lastRunAt = new Date(now).toISOString()
+    await saveBroadcastSchedule(schedule, env)
+  } else {
+    await env.USER_STORAGE.delete(`schedule:${schedule.id}`)
+  }
+
+  const job = await createBroadcastJob({
+    targets: schedule.targets,
+    message: schedule.message,
+    isMedia: schedule.isMedia,
+    mediaMessageId: schedule.mediaMessageId,
+    mediaGroup: schedule.mediaGroup,
+    createdBy: schedule.createdBy,
+    scheduleId: schedule.id
+  }, env)
+
+  if (job.recipients.length === 0) {
+    await cancelBroadcastJob(job.id, env)
+    await sendMessage(env.ADMIN_CHAT_ID, `⚠️ 定时群发 \`${schedule.id}\` 未找到可广播的用户，本次已跳过`, env.BOT_TOKEN)
+    return
+  }
+
+  // 发送状态消息，群发任务由随后的 processPendingBroadcastJobs 执行
+  const statusMessage = await sendMessage(env.ADMIN_CHAT_ID, formatJobProgress(job), env.BOT_TOKEN)
+  job.statusMessageId = statusMessage.result.message_id
+  await saveBroadcastJob(job, env)
+
+  if (nextRunAt) {
+    schedule.lastJobId = job.id
+    await saveBroadcastSchedule(schedule, env)
+  }
+  console.log(`定时群发 ${schedule.id} 已触发，创建群发任务 ${job.id}`)
+}
+
+// 触发所有到期的定时群发（由定时任务调用）
+async function processDueBroadcastSchedules(env) {
+  if (!env.USER_STORAGE) return
+
+  const schedules = await listBroadcastSchedules(env)
+  const dueSchedules = schedules.filter(s => s.nextRunAt <= Date.now())
+
+  for (const schedule of dueSchedules) {
+    try {
+      await fireBroadcastSchedule(schedule.id, env)
+    } catch (error) {
+      console.error(`触发定时群发 ${schedule.id} 失败:`, error)
+    }
+  }
+}
+
+// 解析工作时间配置：逗号分隔的 "星期@开始-结束"，星期可以是单天（sat）或范围（mon-fri）
+// 结束时间早于开始时间表示跨夜（如 fri@22:00-02:00）
+function parseBusinessHours(spec) {
+  const periods = []
+
+  for (const item of (spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = item.match(/^(\w{3})(?:-(\w{3}))?@(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/i)
+    const firstDay = match && WEEKDAYS.indexOf(match[1].toLowerCase())
+    const lastDay = match && (match[2] ? WEEKDAYS.indexOf(match[2].toLowerCase()) : firstDay)
+    if (!match || firstDay === -1 || lastDay === -1) {
+      console.warn(`无法识别的工作时间配置: ${item}`)
+      continue
+    }
+
+    // 星期范围可以跨周，如 sat-mon
+    const days = new Set()
+    for (let day = firstDay; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (day === lastDay) break
+    }
+
+    const [startHour, startMinute, endHour, endMinute] = match.slice(3).map(n => parseInt(n, 10))
+    periods.push({ days, start: startHour * 60 + startMinute, end: endHour * 60 + endMinute })
+  }
+
+  return periods
+}
+
+// 当前是否在工作时间内（未配置 BUSINESS_HOURS 时始终返回true）
+function isWithinBusinessHours(env, now = Date.now()) {
+  const periods = parseBusinessHours(env.BUSINESS_HOURS)
+  if (periods.length === 0) return true
+
+  let local
+  try {
+    local = getZonedParts(new Date(now), env.BUSINESS_TIMEZONE || getTimeZone(env))
+  } catch (error) {
+    console.error('BUSINESS_TIMEZONE 无效，使用默认时区:', error)
+    local = getZonedParts(new Date(now), getTimeZone(env))
+  }
+  const minutes = local.hour * 60 + local.minute
+  const previousDay = (local.weekday + 6) % 7
+
+  return periods.some(({ days, start, end }) => {
+    if (start < end) return days.has(local.weekday) && minutes >= start && minutes < end
+    // 跨夜时段：当天开始之后，或前一天开始、今天结束之前
+    return (days.has(local.weekday) && minutes >= start) || (days.has(previousDay) && minutes < end)
+  })
+}
+
+// 获取管理员的离开状态（未离开返回null）
+async function getAwayStatus(env) {
+  try {
+    if (!env.USER_STORAGE) return null
+
+    const data = await env.USER_STORAGE.get('away_status')
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('从KV获取离开状态失败:', error)
+    return null
+  }
+}
+
+// 记录离开期间收到的用户消息，每个用户一个键，/back 时汇总（元数据中保存摘要，汇总时无需逐个读取）
+async function recordAwayMessage(userInfo, message, env) {
+  try {
+    const key = `awaylog:${userInfo.chatId}`
+    const { metadata } = await env.USER_STORAGE.getWithMetadata(key)
+    const now = new Date().toISOString()
+    const preview = (message.text || message.caption || '[媒体消息]').substring(0, 100)
+
+    await env.USER_STORAGE.put(key, '', {
+      metadata: {
+        chatId: userInfo.chatId.toString(),
+        userName: userInfo.userName.substring(0, 64),
+        count: (metadata?.count || 0) + 1,
+        firstAt: metadata?.firstAt || now,
+        lastAt: now,
+        preview
+      },
+      expirationTtl: 7 * 24 * 60 * 60
+    })
+  } catch (error) {
+    console.error('记录离开期间的消息失败:', error)
+  }
+}
+
+// 列出离开期间的消息记录（按最后一条消息时间倒序），记录由 clearAwayMessages 在汇总发送后清除
+async function listAwayMessages(env) {
+  const entries = []
+  let cursor
+
+  do {
+    const page = await env.USER_STORAGE.list({ prefix: 'awaylog:', cursor })
+    for (const key of page.keys) {
+      if (key.metadata) entries.push({ ...key.metadata, key: key.name })
+    }
+    cursor = page.list_complete ? undefined : page.cursor
+  } while (cursor)
+
+  return entries.sort((a, b) => new Date(b.lastAt).getTime() - new Date(a.lastAt).getTime())
+}
+
+// 清除已汇总的离开期间消息记录
+async function clearAwayMessages(entries, env) {
+  for (const entry of entries) {
+    await env.USER_STORAGE.delete(entry.key)
+  }
+}
+
+// 离开或非工作时间时用户收到的提示，正常值班时返回null
+function getAvailabilityNotice(awayStatus, text, env) {
+  if (awayStatus) {
+    return `${text('away_notice')}${awayStatus.message ? `\n\n📝 ${awayStatus.message}` : ''}`
+  }
+
+  if (!isWithinBusinessHours(env)) {
+    return env.OFF_HOURS_NOTICE || text('off_hours_notice', { hours: env.BUSINESS_HOURS })
+  }
+
+  return null
+}
+
+// Telegram API错误，保留错误码、描述和限流时的重试等待时间
+class TelegramAPIError extends Error {
+  constructor(method, payload, status, statusText = '') {
+    const errorCode = payload.error_code || status
+    const description = payload.description || statusText
+    super(`Telegram API error: ${errorCode} ${description}`.trim())
+
+    this.name = 'TelegramAPIError'
+    this.method = method
+    this.errorCode = errorCode
+    this.description = description
+    this.retryAfter = payload.parameters?.retry_after || null
+  }
+}
+
+// 自动重试：最多重试次数，以及愿意等待的最长 retry_after（超过则直接抛出，避免超出Worker执行时间）
+const TELEGRAM_MAX_RETRIES = 3
+const TELEGRAM_MAX_RETRY_AFTER_SECONDS = 30
+
+// 发送和创建类方法不是幂等的：网络错误时请求可能已经到达Telegram，重试会让用户收到重复消息
+const NON_IDEMPOTENT_METHOD_PATTERN = /^(send|copy|forward|create)/
+
+// 判断错误是否可以重试（429限流、5xx服务端错误，以及幂等方法的网络错误）
+function isRetryableTelegramError(error) {
+  if (error.networkError) return !NON_IDEMPOTENT_METHOD_PATTERN.test(error.method)
+  if (error.errorCode === 429) {
+    return !error.retryAfter || error.retryAfter <= TELEGRAM_MAX_RETRY_AFTER_SECONDS
+  }
+  return error.errorCode >= 500
+}
+
+// 判断用户是否已无法触达（屏蔽了机器人或账号已注销）
+function getUnreachableReason(error) {
+  if (!(error instanceof TelegramAPIError) || error.errorCode !== 403) return null
+
+  if (/user is deactivated/i.test(error.description)) return 'deactivated'
+  if (/blocked by the user|bot can't initiate conversation/i.test(error.description)) return 'blocked'
+  return null
+}
+
+// 转义HTML特殊字符：以HTML格式发送的消息中，用户名、消息文本等不可信内容都需要转义
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// 转义旧版Markdown的特殊字符（仍使用Markdown的管理员通知中插入用户名等内容时使用）
+function escapeMarkdown(text) {
+  return String(text ?? '').replace(/([_*`\[])/g, '\\$1')
+}
+
+// 消息实体对应的HTML标签，未列出的实体（链接、@提及等）由Telegram自动识别，按纯文本处理
+const ENTITY_HTML_TAGS = {
+  bold: () => ['<b>', '</b>'],
+  italic: () => ['<i>', '</i>'],
+  underline: () => ['<u>', '</u>'],
+  strikethrough: () => ['<s>', '</s>'],
+  spoiler: () => ['<tg-spoiler>', '</tg-spoiler>'],
+  code: () => ['<code>', '</code>'],
+  pre: entity => entity.language
+    ? [`<pre><code class="language-${escapeHtml(entity.language)}">`, '</code></pre>']
+    : ['<pre>', '</pre>'],
+  text_link: entity => [`<a href="${escapeHtml(entity.url)}">`, '</a>'],
+  text_mention: entity => [`<a href="tg://user?id=${entity.user.id}">`, '</a>'],
+  blockquote: () => ['<blockquote>', '</blockquote>'],
+  expandable_blockquote: () => ['<blockquote expandable>', '</blockquote>']
+}
+
+// 将文本和消息实体（entities / caption_entities）转换为HTML，保留原消息的格式，其余内容全部转义
+// 实体的 offset 和 length 以UTF-16代码单元计算，与JS字符串下标一致
+function entitiesToHtml(text, entities = []) {
+  if (!text) return ''
+
+  const supported = (entities || [])
+    .filter(entity => ENTITY_HTML_TAGS[entity.type])
+    .sort((a, b) => a.offset - b.offset || b.length - a.length)
+  if (supported.length === 0) return escapeHtml(text)
+
+  // 外层实体先开始后结束：同一位置的开始标签按排序顺序，结束标签按相反顺序
+  const opens = new Map()
+  const closes = new Map()
+  for (const entity of supported) {
+    const [openTag, closeTag] = ENTITY_HTML_TAGS[entity.type](entity)
+    const end = entity.offset + entity.length
+    opens.set(entity.offset, [...(opens.get(entity.offset) || []), openTag])
+    closes.set(end, [closeTag, ...(closes.get(end) || [])])
+  }
+
+  let html = ''
+  for (let i = 0; i <= text.length; i++) {
+    html += (closes.get(i) || []).join('') + (opens.get(i) || []).join('')
+    if (i < text.length) html += escapeHtml(text[i])
+  }
+  return html
+}
+
+// 将消息的文本或说明转换为保留格式的HTML
+function formatMessageHtml(message) {
+  return message.text
+    ? entitiesToHtml(message.text, message.entities)
+    : entitiesToHtml(message.caption, message.caption_entities)
+}
+
+// 去掉HTML标签并还原转义字符，用于解析失败后以纯文本重发
+function htmlToPlainText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+}
+
+// Telegram无法解析消息格式的错误（如未闭合的 * 或无效的HTML标签）
+function isParseEntitiesError(error) {
+  return error instanceof TelegramAPIError && error.errorCode === 400 && /can't parse/i.test(error.description)
+}
+
+// 调用带格式文本的Telegram API，格式解析失败时去掉 parse_mode 以纯文本重试一次
+// textField 为文本所在的参数名（text 或 caption）
+async function callTelegramAPIWithParseFallback(method, params, textField, botToken, retryOptions = {}) {
+  try {
+    return await callTelegramAPI(method, params, botToken, retryOptions)
+  } catch (error) {
+    if (!params.parse_mode || !params[textField] || !isParseEntitiesError(error)) throw error
+
+    console.warn(`Telegram API ${method} 格式解析失败，以纯文本重试:`, error.description)
+    const plainText = params.parse_mode === 'HTML' ? htmlToPlainText(params[textField]) : params[textField]
+    return await callTelegramAPI(method, { ...params, parse_mode: undefined, [textField]: plainText }, botToken, retryOptions)
+  }
+}
+
+// 统一的Telegram API调用函数
+// retryOptions.deadline 为调用方的截止时间（毫秒时间戳），重试等待会超过截止时间时直接抛出
+async function callTelegramAPI(method, params, botToken, { deadline } = {}) {
+  const url = `https://api.telegram.org/bot${botToken}/${method}`
+
+  for (let attempt = 0; ; attempt++) {
+    let error
+    try {
+      // 上传文件时使用 FormData，由 fetch 自动设置 multipart 的 Content-Type
+      const isFormData = params instanceof FormData
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: isFormData ? {} : {
+          'Content-Type': 'application/json',
+        },
+        body: isFormData ? params : JSON.stringify(params)
+      })
+
+      const payload = await response.json().catch(() => ({}))
+      if (response.ok && payload.ok !== false) {
+        return payload
+      }
+
+      error = new TelegramAPIError(method, payload, response.status, response.statusText)
+    } catch (fetchError) {
+      // 网络错误按502服务端错误处理，请求可能已经送达，只有幂等的方法会重试
+      error = new TelegramAPIError(method, { description: fetchError.message }, 502)
+      error.networkError = true
+    }
+
+    // 429 按 retry_after 等待，5xx 指数退避
+    const delay = error.retryAfter ? error.retryAfter * 1000 : 500 * 2 ** attempt
+    if (attempt < TELEGRAM_MAX_RETRIES && isRetryableTelegramError(error) && !(deadline && Date.now() + delay > deadline)) {
+      console.warn(`Telegram API ${method} 失败 (${error.errorCode})，${delay}ms 后重试`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      continue
+    }
+
+    console.error(`Failed to call Telegram API ${method}:`, error)
+    throw error
+  }
+}
+
+// 发送消息
+async function sendMessage(chatId, text, botToken, options = {}, retryOptions = {}) {
+  const params = {
+    chat_id: chatId,
+    text: text,
+    parse_mode: 'Markdown',
+    ...options
+  }
+  return await callTelegramAPIWithParseFallback('sendMessage', params, 'text', botToken, retryOptions)
+}
+
+// 复制消息
+async function copyMessage(chatId, fromChatId, messageId, botToken, options = {}, retryOptions = {}) {
+  const params = {
+    chat_id: chatId,
+    from_chat_id: fromChatId,
+    message_id: messageId,
+    ...options
+  }
+  return await callTelegramAPIWithParseFallback('copyMessage', params, 'caption', botToken, retryOptions)
+}
+
+// 批量复制消息，相册的分组和各项说明会保留
+async function copyMessages(chatId, fromChatId, messageIds, botToken, options = {}) {
+  return await callTelegramAPI('copyMessages', {
+    chat_id: chatId,
+    from_chat_id: fromChatId,
+    message_ids: messageIds,
+    ...options
+  }, botToken)
+}
+
+// 以相册形式发送一组媒体，media 为 InputMedia 数组；说明格式解析失败时去掉各项的 parse_mode 以纯文本重试一次
+async function sendMediaGroup(chatId, media, botToken, options = {}, retryOptions = {}) {
+  const params = {
+    chat_id: chatId,
+    media,
+    ...options
+  }
+
+  try {
+    return await callTelegramAPI('sendMediaGroup', params, botToken, retryOptions)
+  } catch (error) {
+    if (!isParseEntitiesError(error) || !media.some(item => item.parse_mode)) throw error
+
+    console.warn('Telegram API sendMediaGroup 格式解析失败，以纯文本重试:', error.description)
+    const plainMedia = media.map(({ parse_mode, ...item }) => ({
+      ...item,
+      caption: parse_mode === 'HTML' && item.caption ? htmlToPlainText(item.caption) : item.caption
+    }))
+    return await callTelegramAPI('sendMediaGroup', { ...params, media: plainMedia }, botToken, retryOptions)
+  }
+}
+
+// 发送文件，content 为文件的文本内容
+async function sendDocument(chatId, fileName, content, botToken, options = {}) {
+  const form = new FormData()
+  form.append('chat_id', chatId.toString())
+  form.append('document', new Blob([content], { type: 'application/octet-stream' }), fileName)
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) form.append(key, typeof value === 'object' ? JSON.stringify(value) : value.toString())
+  }
+  return await callTelegramAPI('sendDocument', form, botToken)
+}
+
+// 编辑文本消息
+async function editMessageText(chatId, messageId, text, botToken, options = {}) {
+  const params = {
+    chat_id: chatId,
+    message_id: messageId,
+    text: text,
+    parse_mode: 'Markdown',
+    ...options
+  }
+  return await callTelegramAPIWithParseFallback('editMessageText', params, 'text', botToken)
+}
+
+// 编辑媒体消息的说明
+async function editMessageCaption(chatId, messageId, caption, botToken, options = {}) {
+  const params = {
+    chat_id: chatId,
+    message_id: messageId,
+    caption: caption,
+    ...options
+  }
+  return await callTelegramAPIWithParseFallback('editMessageCaption', params, 'caption', botToken)
+}
+
+// 应答按钮回调
+async function answerCallbackQuery(callbackQueryId, botToken, options = {}) {
+  const params = {
+    callback_query_id: callbackQueryId,
+    ...options
+  }
+  return await callTelegramAPI('answerCallbackQuery', params, botToken)
+}
+
+// 编辑消息的按钮
+async function editMessageReplyMarkup(chatId, messageId, replyMarkup, botToken) {
+  const params = {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup
+  }
+  return await callTelegramAPI('editMessageReplyMarkup', params, botToken)
+}
+
+// 删除消息
+async function deleteMessage(chatId, messageId, botToken) {
+  const params = {
+    chat_id: chatId,
+    message_id: messageId
+  }
+  return await callTelegramAPI('deleteMessage', params, botToken)
+}
+
+// 设置Webhook
+async function setWebhook(url, botToken, secret = '') {
+  const params = {
+    url: url,
+    secret_token: secret
+  }
+  return await callTelegramAPI('setWebhook', params, botToken)
+}
+
+// 获取机器人信息
+async function getMe(botToken) {
+  return await callTelegramAPI('getMe', {}, botToken)
+}
+
+// 获取Webhook状态
+async function getWebhookInfo(botToken) {
+  return await callTelegramAPI('getWebhookInfo', {}, botToken)
+}
+
+// 删除Webhook，dropPendingUpdates 为 true 时同时丢弃未处理的更新
+async function deleteWebhook(botToken, dropPendingUpdates = false) {
+  return await callTelegramAPI('deleteWebhook', { drop_pending_updates: dropPendingUpdates }, botToken)
+}
+
+// 设置机器人命令菜单，scope 为 BotCommandScope
+async function setMyCommands(commands, scope, botToken, options = {}) {
+  return await callTelegramAPI('setMyCommands', { commands, scope, ...options }, botToken)
+}
+
+// 创建论坛话题
+async function createForumTopic(chatId, name, botToken) {
+  const params = {
+    chat_id: chatId,
+    name: name
+  }
+  return await callTelegramAPI('createForumTopic', params, botToken)
+}
+
+// 创建格式化的用户信息
+function createUserInfo(message, env) {
+  const { from, chat } = message
+  const userName = from.username || from.first_name || 'Unknown'
+  const userId = from.id
+  const chatId = chat.id
+  const time = formatTime(Date.now(), env)
+  
+  return {
+    userName,
+    userId,
+    chatId,
+    languageCode: from.language_code,
+    time,
+    // 转发消息头部（HTML格式，用户名已转义）
+    header: `📩 <b>来自用户: ${escapeHtml(userName)}</b>\n🆔 ID: <code>${userId}</code>\n⏰ 时间: ${time}\n────────────────────`
+  }
+}
+
+// 构建转发给管理员的文本（文本消息）或说明（媒体消息），HTML格式
+// 用户的消息内容按 entities 保留原有格式，其余不可信内容均已转义
+// album 不为空时只生成用户信息，相册各项的说明随相册一起复制
+async function buildForwardContent(message, userInfo, env, { edited = false, autoReplyRule = null, album = null } = {}) {
+  // 用户标识可选，回复优先通过KV消息映射路由
+  const tagLine = shouldShowUserTag(env)
+    ? `\n\n<code>${await createSecureUserTag(userInfo.chatId, env.USER_ID_SECRET)}</code>`
+    : ''
+  const editedLine = edited ? '\n✏️ <b>用户已编辑此消息</b>' : ''
+  const autoReplyLine = autoReplyRule ? `\n🤖 已自动回复 (规则 #${autoReplyRule.id})` : ''
+
+  // 多管理员时显示该用户最近的处理人
+  const handler = isMultiAdmin(env) ? await getUserHandler(userInfo.chatId, env) : null
+  const handlerLine = handler ? `\n🙋 最近处理: ${escapeHtml(handler.name)}` : ''
+  const profileLines = formatUserProfileLines(await getUserRecord(userInfo.chatId, env))
+
+  if (album) {
+    return `${userInfo.header}${handlerLine}${profileLines}${autoReplyLine}\n🖼️ <b>相册:</b> ${album.length} 项${tagLine}`
+  }
+
+  if (message.text) {
+    return `${userInfo.header}${handlerLine}${profileLines}${editedLine}${autoReplyLine}\n📝 <b>消息内容:</b>\n${formatMessageHtml(message)}${tagLine}`
+  }
+
+  return `${userInfo.header}${handlerLine}${profileLines}${editedLine}${autoReplyLine}${message.caption ? `\n📝 <b>说明:</b> ${formatMessageHtml(message)}` : ''}${tagLine}`
+}
+
+// 构建转发消息下方的操作按钮，回调数据格式为 act:<操作>:<用户ID>:<签名>
+// state.banned 为 true 时显示解除封禁，state.resolvedBy 不为空时显示已处理
+async function buildUserActionKeyboard(userChatId, state, env) {
+  const button = async (text, action) => ({
+    text,
+    callback_data: await signCallbackData(`act:${action}:${userChatId}`, env.USER_ID_SECRET)
+  })
+
+  const firstRow = [await button('ℹ️ 用户信息', 'info')]
+  // 封禁记录保存在KV中，未绑定时不显示封禁按钮
+  if (env.USER_STORAGE) {
+    firstRow.unshift(state.banned ? await button('✅ 解除封禁', 'unban') : await button('🚫 封禁', 'ban'))
+  }
+
+  return {
+    inline_keyboard: [
+      firstRow,
+      [
+        state.resolvedBy ? await button(`☑️ 已处理 (${state.resolvedBy})`, 'undone') : await button('✅ 标记已处理', 'done'),
+        await button('💬 快速回复', 'reply')
+      ]
+    ]
+  }
+}
+
+// 从消息当前的按钮中读取操作状态，更新某个按钮时保留其他按钮的状态
+function readUserActionState(replyMarkup) {
+  const buttons = (replyMarkup?.inline_keyboard || []).flat()
+  const findButton = action => buttons.find(b => (b.callback_data || '').startsWith(`act:${action}:`))
+
+  const undoneButton = findButton('undone')
+  const resolvedMatch = undoneButton && undoneButton.text.match(/\((.*)\)$/)
+  return {
+    banned: !!findButton('unban'),
+    resolvedBy: undoneButton ? (resolvedMatch ? resolvedMatch[1] : '管理员') : null
+  }
+}
+
+// 将用户消息连同用户信息转发到管理员聊天
+// options 为发送参数（如话题ID），contentOptions 为转发内容的选项（如已触发的自动回复规则）
+async function forwardToAdmin(message, userInfo, env, options = {}, contentOptions = {}) {
+  const content = await buildForwardContent(message, userInfo, env, contentOptions)
+  const replyMarkup = await buildUserActionKeyboard(userInfo.chatId, {}, env)
+
+  const { album } = contentOptions
+
+  let forwardResult
+  if (message.text || album) {
+    // 文本消息；相册先发送带按钮的用户信息，相册本身无法附加按钮
+    forwardResult = await sendMessage(env.ADMIN_CHAT_ID, content, env.BOT_TOKEN, { parse_mode: 'HTML', reply_markup: replyMarkup, ...options })
+  } else {
+    // 媒体消息
+    forwardResult = await copyMessage(env.ADMIN_CHAT_ID, userInfo.chatId, message.message_id, env.BOT_TOKEN, { caption: content, parse_mode: 'HTML', reply_markup: replyMarkup, ...options })
+  }
+
+  if (forwardResult.ok && album) {
+    // 相册各项的编辑无法同步，只保存管理员侧到用户的映射，回复用户信息或相册中的任一项均可回复该用户
+    await saveMessageMapping(forwardResult.result.message_id, userInfo.chatId, null, 'in', env)
+    const albumResult = await copyMessages(env.ADMIN_CHAT_ID, userInfo.chatId, album.map(item => item.messageId), env.BOT_TOKEN, options)
+    await Promise.all(albumResult.result.map(copied => saveMessageMapping(copied.message_id, userInfo.chatId, null, 'in', env)))
+  } else if (forwardResult.ok) {
+    await saveMessageMapping(forwardResult.result.message_id, userInfo.chatId, message.message_id, 'in', env)
+  }
+
+  return forwardResult
+}
+
+// 处理用户的 /faq 命令：以按钮列出常见问题（关键词规则），点击后发送对应的回复
+async function handleFaqCommand(chatId, text, env) {
+  const { rules } = await getAutoReplyRules(env)
+  const faqRules = rules.filter(rule => rule.type === 'keyword')
+
+  if (faqRules.length === 0) {
+    await sendMessage(chatId, text('faq_empty'), env.BOT_TOKEN)
+    return
+  }
+
+  await sendMessage(chatId, text('faq_title'), env.BOT_TOKEN, {
+    reply_markup: {
+      inline_keyboard: faqRules.slice(0, 50).map(rule => [{ text: rule.keywords[0], callback_data: `faq:${rule.id}` }])
+    }
+  })
+}
+
+// 处理用户点击常见问题按钮
+async function handleFaqCallback(callbackQuery, ruleId, env) {
+  const { rules } = await getAutoReplyRules(env)
+  const rule = rules.find(r => r.id === ruleId)
+
+  if (!rule) {
+    const { text } = await getUserTexts(callbackQuery.message.chat.id, callbackQuery.from.language_code, env)
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: text('faq_removed') })
+    return
+  }
+
+  await sendMessage(callbackQuery.message.chat.id, rule.response, env.BOT_TOKEN)
+  await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN)
+}
+
+// 处理用户的 /lang 命令：无参数时显示当前语言，/lang en 切换语言，/lang auto 恢复跟随Telegram设置
+async function handleLangCommand(chatId, args, language, text, env) {
+  const requested = args.toLowerCase()
+
+  if (!requested) {
+    const languages = Object.keys(USER_MESSAGES).map(code => `\`${code}\` ${LANGUAGE_NAMES[code]}`).join(', ')
+    await sendMessage(chatId, text('lang_usage', { current: LANGUAGE_NAMES[language], languages }), env.BOT_TOKEN)
+    return
+  }
+
+  if (!env.USER_STORAGE) {
+    await sendMessage(chatId, text('lang_unavailable'), env.BOT_TOKEN)
+    return
+  }
+
+  if (requested === 'auto') {
+    await env.USER_STORAGE.delete(`lang:${chatId}`)
+    await sendMessage(chatId, text('lang_auto'), env.BOT_TOKEN)
+    return
+  }
+
+  const newLanguage = resolveLanguage(requested)
+  if (!newLanguage) {
+    await handleLangCommand(chatId, '', language, text, env)
+    return
+  }
+
+  await env.USER_STORAGE.put(`lang:${chatId}`, newLanguage)
+  // 确认消息使用新语言
+  const { text: newText } = await getUserTexts(chatId, undefined, env)
+  await sendMessage(chatId, newText('lang_set'), env.BOT_TOKEN)
+}
+
+// 处理用户消息
+async function handleUserMessage(message, env) {
+  const userInfo = createUserInfo(message, env)
+
+  try {
+    // 丢弃被封禁用户的消息
+    const banRecord = await getBanRecord(userInfo.chatId, env)
+    if (banRecord) {
+      await handleBannedUser(userInfo.chatId, banRecord, env)
+      return
+    }
+
+    // 频率限制（超限后警告一次，之后的消息直接丢弃）
+    const rateLimit = await checkRateLimit(userInfo.chatId, env)
+    if (!rateLimit.allowed) {
+      await handleRateLimitedUser(userInfo, rateLimit, env)
+      return
+    }
+
+    // 人机验证：未通过验证的用户只会收到验证题，消息不转发也不跟踪；相册只由第一项发送验证题
+    if (isVerificationEnabled(env) && !(await isUserVerified(userInfo.chatId, env))) {
+      if (!(await claimAlbumChallenge(message, env))) return
+
+      const { text } = await getUserTexts(userInfo.chatId, userInfo.languageCode, env)
+      await sendVerificationChallenge(userInfo.chatId, text, env)
+      return
+    }
+
+    // 用户的语言和文本在通过以上检查后才读取，被丢弃的消息不产生额外的KV读取
+    const { language, text } = await getUserTexts(userInfo.chatId, userInfo.languageCode, env)
+
+    // 自动跟踪用户（如果启用）
+    if (env.ENABLE_USER_TRACKING === 'true') {
+      await addUserToKV(userInfo.chatId, userInfo, env)
+    }
+    
+    // 发送欢迎消息给新用户
+    if (message.text === '/start') {
+      await sendMessage(userInfo.chatId, text('welcome'), env.BOT_TOKEN)
+      return
+    }
+
+    const command = parseCommand(message.text)
+    if (command?.command === 'faq') {
+      await handleFaqCommand(userInfo.chatId, text, env)
+      return
+    }
+
+    if (command?.command === 'lang') {
+      await handleLangCommand(userInfo.chatId, command.args, language, text, env)
+      return
+    }
+
+    // 相册：各项先缓冲，通常由最后到达的一项整体转发并只发送一次确认，其余项直接返回
+    let album = null
+    if (message.media_group_id && env.USER_STORAGE) {
+      album = await collectMediaGroup(message, env)
+      if (!album) return
+      message = mergeAlbumMessage(message, album)
+    }
+
+    await logConversation(userInfo.chatId, 'in', message, env)
+
+    // 自动回复：匹配规则时直接回复用户，按规则设置决定是否继续转发给管理员
+    const { rules } = await getAutoReplyRules(env)
+    const autoReplyRule = matchAutoReplyRule(rules, message.text || message.caption)
+    if (autoReplyRule) {
+      await sendMessage(userInfo.chatId, autoReplyRule.response, env.BOT_TOKEN)
+      await logConversation(userInfo.chatId, 'out', { text: autoReplyRule.response }, env, { by: `自动回复 #${autoReplyRule.id}` })
+      console.log(`自动回复: 用户 ${userInfo.userName} 匹配规则 #${autoReplyRule.id}${autoReplyRule.forward ? '' : '，不转发'}`)
+      if (!autoReplyRule.forward) return
+    }
+    const contentOptions = { autoReplyRule, album }
+
+    // 管理员离开期间的消息照常转发，同时记录下来供 /back 时汇总
+    const awayStatus = await getAwayStatus(env)
+    if (awayStatus) {
+      await recordAwayMessage(userInfo, message, env)
+    }
+
+    let forwardResult
+    if (isForumMode(env)) {
+      // 论坛话题模式：转发到用户的专属话题
+      const threadId = await ensureUserTopic(userInfo, env)
+      try {
+        forwardResult = await forwardToAdmin(message, userInfo, env, { message_thread_id: threadId }, contentOptions)
+      } catch (error) {
+        // 话题已被管理员删除时重新创建后重试一次，其他错误直接抛出
+        if (!/thread not found|TOPIC_DELETED|TOPIC_ID_INVALID/i.test(error.description || '')) throw error
+
+        console.warn(`话题 ${threadId} 不存在，重新创建话题:`, error.description)
+        await resetUserTopic(userInfo.chatId, env)
+        const newThreadId = await ensureUserTopic(userInfo, env)
+        forwardResult = await forwardToAdmin(message, userInfo, env, { message_thread_id: newThreadId }, contentOptions)
+      }
+    } else {
+      forwardResult = await forwardToAdmin(message, userInfo, env, {}, contentOptions)
+    }
+
+    if (forwardResult.ok) {
+      console.log(`消息转发成功: 用户 ${userInfo.userName} -> 管理员`)
+      
+      // 给用户发送确认消息（已自动回复时不再发送），离开或非工作时间时发送相应提示
+      if (!autoReplyRule) {
+        const notice = getAvailabilityNotice(awayStatus, text, env)
+        await sendMessage(userInfo.chatId, notice || text('message_sent'), env.BOT_TOKEN)
+      }
+    }
+  } catch (error) {
+    console.error('处理用户消息错误:', error)
+    try {
+      const { text } = await getUserTexts(userInfo.chatId, userInfo.languageCode, env)
+      await sendMessage(userInfo.chatId, text('send_failed'), env.BOT_TOKEN)
+    } catch (sendError) {
+      console.error('发送错误消息失败:', sendError)
+    }
+  }
+}
+
+// 获取管理员的显示名称
+function getAdminName(from) {
+  if (!from) return '管理员'
+  return from.username ? `@${from.username}` : (from.first_name || from.id.toString())
+}
+
+// 管理员角色：responder 可回复用户和查看信息，owner 还可以群发、封禁和修改共享的数据与设置
+const ADMIN_ROLES = ['owner', 'responder']
+
+// 仅 owner 可以使用的命令：群发、封禁，以及修改模板、用户标签备注、离开状态等所有管理员共用的数据
+const OWNER_COMMANDS = new Set([
+  'post', 'cancel', 'recall', 'editpost', 'schedule', 'unschedule',
+  'ban', 'unban', 'verify',
+  'autoreply', 'settext', 'save', 'deltemplate',
+  'tag', 'untag', 'note',
+  'away', 'back'
+])
+
+// 会向用户发送或撤回消息的命令，按原始消息只执行一次
+const IDEMPOTENT_COMMANDS = new Set(['post', 'schedule', 'recall', 'editpost', 'r', 'back'])
+
+// 记录命令消息已执行，返回 false 表示该消息之前已执行过（未绑定KV存储时总是返回 true）
+async function claimCommandExecution(message, env) {
+  if (!env.USER_STORAGE) return true
+
+  const key = `cmd:${message.chat.id}:${message.message_id}`
+  if (await env.USER_STORAGE.get(key)) return false
+  await env.USER_STORAGE.put(key, '1', { expirationTtl: UPDATE_RECEIPT_TTL_SECONDS })
+  return true
+}
+
+// 解析 ADMIN_USERS 环境变量，返回 用户ID -> { role, name } 的映射
+function parseAdminUsers(env) {
+  const admins = new Map()
+  if (!env.ADMIN_USERS) return admins
+
+  for (const entry of env.ADMIN_USERS.split(',')) {
+    const [id, role, ...nameParts] = entry.trim().split(':')
+    if (!/^\d+$/.test(id || '')) continue
+
+    admins.set(id, {
+      role: ADMIN_ROLES.includes(role) ? role : 'responder',
+      name: nameParts.join(':').trim()
+    })
+  }
+  return admins
+}
+
+// 是否配置了多管理员
+function isMultiAdmin(env) {
+  return parseAdminUsers(env).size > 0
+}
+
+// 获取发送者的管理员身份（非管理员返回null）
+// 未配置 ADMIN_USERS 时，管理员聊天中的所有人均视为 owner，兼容单管理员部署
+function getAdminIdentity(from, env) {
+  const admins = parseAdminUsers(env)
+  if (admins.size === 0) {
+    return { role: 'owner', name: from?.first_name || getAdminName(from) }
+  }
+
+  const admin = from && admins.get(from.id.toString())
+  if (!admin) return null
+
+  return { role: admin.role, name: admin.name || from.first_name || getAdminName(from) }
+}
+
+// 保存用户最近一次由哪位管理员处理
+async function saveUserHandler(userChatId, adminName, env) {
+  try {
+    if (!env.USER_STORAGE) return
+
+    await env.USER_STORAGE.put(`handler:${userChatId}`, JSON.stringify({
+      name: adminName,
+      handledAt: new Date().toISOString()
+    }), { expirationTtl: 30 * 24 * 60 * 60 })
+  } catch (error) {
+    console.error('保存处理人失败:', error)
+  }
+}
+
+// 获取用户最近一次的处理人
+async function getUserHandler(userChatId, env) {
+  try {
+    if (!env.USER_STORAGE) return null
+
+    const data = await env.USER_STORAGE.get(`handler:${userChatId}`)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('读取处理人失败:', error)
+    return null
+  }
+}
+
+// 回复管理员的命令消息
+async function replyToAdmin(message, text, env, options = {}) {
+  return await sendMessage(env.ADMIN_CHAT_ID, text, env.BOT_TOKEN, {
+    reply_to_message_id: message.message_id,
+    ...options
+  })
+}
+
+// 将多个文本块拼接为不超过Telegram单条消息长度上限（4096字符）的若干条消息，超长的单个块会被截断
+function packMessageChunks(blocks, limit = 4096) {
+  const chunks = []
+  let current = ''
+
+  for (const block of blocks) {
+    const text = block.length > limit ? `${block.substring(0, limit - 1)}…` : block
+    if (current && current.length + 2 + text.length > limit) {
+      chunks.push(current)
+      current = text
+    } else {
+      current = current ? `${current}\n\n${text}` : text
+    }
+  }
+
+  if (current) chunks.push(current)
+  return chunks
+}
+
+// 确定命令作用的用户：优先使用参数中的ID，其次是所在的用户话题，否则从被回复的转发消息中提取
+async function resolveCommandTarget(message, args, env) {
+  const [firstArg, ...rest] = args ? args.split(/\s+/) : []
+
+  if (firstArg && /^\d+$/.test(firstArg)) {
+    return { userChatId: firstArg, rest: args.substring(firstArg.length).trim() }
+  }
+
+  // 论坛话题模式：在用户话题中使用命令时作用于该用户
+  const topicUserChatId = await resolveTopicUserChatId(message, env)
+  if (topicUserChatId) {
+    return { userChatId: topicUserChatId, rest: args }
+  }
+
+  if (message.reply_to_message) {
+    const userChatId = await resolveReplyUserChatId(message.reply_to_message, env)
+    return { userChatId, rest: args }
+  }
+
+  return { userChatId: null, rest: [firstArg, ...rest].filter(Boolean).join(' ') }
+}
+
+// 处理 /ban 命令：/ban <id> [原因]，或回复转发消息 /ban [原因]
+async function handleBanCommand(message, args, env) {
+  const { userChatId, rest: reason } = await resolveCommandTarget(message, args, env)
+
+  if (!userChatId) {
+    await replyToAdmin(message,
+      `❌ 请指定要封禁的用户\n\n• \`/ban 123456789 原因\`\n• 回复用户的转发消息并发送 \`/ban 原因\``,
+      env
+    )
+    return
+  }
+
+  if (userChatId === env.ADMIN_CHAT_ID.toString() || parseAdminUsers(env).has(userChatId)) {
+    await replyToAdmin(message, `❌ 不能封禁管理员`, env)
+    return
+  }
+
+  const record = await banUser(userChatId, { reason, bannedBy: getAdminName(message.from) }, env)
+  console.log(`用户已封禁: ${userChatId} by ${record.bannedBy}`)
+
+  await replyToAdmin(message,
+    `🚫 已封禁用户 \`${userChatId}\`${reason ? `\n📝 原因: ${reason}` : ''}\n\n该用户的消息将不再转发，使用 \`/unban ${userChatId}\` 解除封禁`,
+    env
+  )
+}
+
+// 处理 /unban 命令：/unban <id>，或回复转发消息 /unban
+async function handleUnbanCommand(message, args, env) {
+  const { userChatId } = await resolveCommandTarget(message, args, env)
+
+  if (!userChatId) {
+    await replyToAdmin(message, `❌ 请指定要解除封禁的用户: \`/unban 123456789\``, env)
+    return
+  }
+
+  const existed = await unbanUser(userChatId, env)
+  await replyToAdmin(message,
+    existed ? `✅ 已解除用户 \`${userChatId}\` 的封禁` : `ℹ️ 用户 \`${userChatId}\` 未被封禁`,
+    env
+  )
+}
+
+// 处理 /verify 命令：手动将用户标记为已验证，因验证失败被自动封禁的用户同时解除封禁
+async function handleVerifyCommand(message, args, env) {
+  const { userChatId } = await resolveCommandTarget(message, args, env)
+
+  if (!userChatId) {
+    await replyToAdmin(message, `❌ 请指定要通过验证的用户: \`/verify 123456789\``, env)
+    return
+  }
+
+  const record = await getVerificationRecord(userChatId, env)
+  await markUserVerified(userChatId, getAdminName(message.from), env)
+
+  const banRecord = await getBanRecord(userChatId, env)
+  const unbanned = banRecord?.bannedBy === '自动验证' && await unbanUser(userChatId, env)
+
+  // 已验证过的用户无需再次通知
+  if (record?.status !== 'verified') {
+    try {
+      const { text } = await getUserTexts(userChatId, undefined, env)
+      await sendMessage(userChatId, text('verify_by_admin'), env.BOT_TOKEN)
+    } catch (error) {
+      console.error('发送验证通知失败:', error)
+    }
+  }
+
+  await replyToAdmin(message,
+    `✅ 用户 \`${userChatId}\` 已通过验证${unbanned ? '，并已解除自动封禁' : ''}${banRecord && !unbanned ? `\n\n⚠️ 该用户仍在封禁名单中，使用 \`/unban ${userChatId}\` 解除封禁` : ''}`,
+    env
+  )
+}
+
+// 处理 /banned 命令：列出封禁名单
+async function handleBannedCommand(message, env) {
+  const records = await listBannedUsers(env)
+
+  if (records.length === 0) {
+    await replyToAdmin(message, `📭 封禁名单为空`, env)
+    return
+  }
+
+  const shownRecords = records.slice(0, 30)
+  const list = shownRecords.map((record, index) => {
+    const bannedAt = record.bannedAt
+      ? formatTime(record.bannedAt, env)
+      : '未知'
+    return `${index + 1}. \`${record.chatId}\`\n   操作人: ${record.bannedBy || '未知'}\n   时间: ${bannedAt}${record.reason ? `\n   原因: ${record.reason}` : ''}`
+  }).join('\n\n')
+
+  await replyToAdmin(message,
+    `🚫 *封禁名单* (${shownRecords.length}/${records.length})\n\n${list}${records.length > shownRecords.length ? '\n\n...' : ''}`,
+    env
+  )
+}
+
+// 构建发送给用户的回复文本（文本消息）或说明（媒体消息）
+function buildReplyContent(message, text, env) {
+  const admin = env.SIGN_ADMIN_REPLIES === 'true' ? getAdminIdentity(message.from, env) : null
+  const header = `<b>${escapeHtml(admin ? text('reply_header_signed', { admin: admin.name }) : text('reply_header'))}:</b>`
+
+  if (message.text) {
+    return `${header}\n\n${formatMessageHtml(message)}`
+  }
+  return message.caption ? `${header}\n\n${formatMessageHtml(message)}` : header
+}
+
+// 将管理员的消息作为回复发送给用户，并向管理员反馈结果
+// template 不为空时发送模板内容（{ text } 或 { message_id, caption }），album 不为空时发送整个相册，否则发送管理员的消息本身
+async function sendReplyToUser(message, userChatId, env, { template = null, album = null } = {}) {
+  const source = template ? { from: message.from, ...template } : album ? mergeAlbumMessage(message, album) : message
+  const { text } = await getUserTexts(userChatId, undefined, env)
+  const content = buildReplyContent(source, text, env)
+
+  let replyResult
+  try {
+    if (album) {
+      // 回复标题加在相册第一项的说明前，其余项保留各自的说明
+      const media = album.map((item, index) => ({
+        ...item.media,
+        caption: index === 0
+          ? buildReplyContent({ from: message.from, caption: item.caption, caption_entities: item.caption_entities }, text, env)
+          : entitiesToHtml(item.caption, item.caption_entities),
+        parse_mode: 'HTML'
+      }))
+      replyResult = await sendMediaGroup(userChatId, media, env.BOT_TOKEN)
+    } else if (source.text) {
+      replyResult = await sendMessage(userChatId, content, env.BOT_TOKEN, { parse_mode: 'HTML' })
+    } else {
+      replyResult = await copyMessage(userChatId, env.ADMIN_CHAT_ID, source.message_id, env.BOT_TOKEN, {
+        caption: content,
+        parse_mode: 'HTML'
+      })
+    }
+  } catch (error) {
+    const unreachableReason = getUnreachableReason(error)
+    if (unreachableReason) {
+      await markUserInactive(userChatId, unreachableReason, env)
+    }
+
+    replyResult = {
+      ok: false,
+      description: unreachableReason ? USER_STATUS_LABELS[unreachableReason] : (error.description || error.message)
+    }
+  }
+
+  if (replyResult.ok && album) {
+    await Promise.all(replyResult.result.map((sent, index) =>
+      saveMessageMapping(album[index].messageId, userChatId, sent.message_id, 'out', env)))
+  } else if (replyResult.ok) {
+    await saveMessageMapping(message.message_id, userChatId, replyResult.result.message_id, 'out', env)
+  }
+
+  if (replyResult.ok) {
+
+    // 多管理员时告知其他管理员由谁处理了该用户
+    const admin = getAdminIdentity(message.from, env)
+    const multiAdmin = isMultiAdmin(env)
+    if (multiAdmin) {
+      await saveUserHandler(userChatId, admin.name, env)
+    }
+    await logConversation(userChatId, 'out', source, env, { by: admin.name })
+
+    await sendMessage(env.ADMIN_CHAT_ID, 
+      multiAdmin
+        ? `✅ ${admin.name} 的回复已发送给用户 (ID: ${userChatId})`
+        : `✅ 回复已发送给用户 (ID: ${userChatId})`, 
+      env.BOT_TOKEN, 
+      { reply_to_message_id: message.message_id }
+    )
+    console.log(`回复发送成功: ${admin.name} -> 用户 ${userChatId}`)
+  } else {
+    await sendMessage(env.ADMIN_CHAT_ID, 
+      `❌ 回复发送失败: ${replyResult.description || '未知错误'}`, 
+      env.BOT_TOKEN, 
+      { reply_to_message_id: message.message_id }
+    )
+  }
+
+  return replyResult
+}
+
+// 处理 /delete 命令：回复自己发送过的回复消息，将其从用户的聊天中删除
+async function handleDeleteCommand(message, env) {
+  const mapping = message.reply_to_message
+    ? await getMessageMappingByAdmin(message.reply_to_message.message_id, env)
+    : null
+
+  if (!mapping || mapping.direction !== 'out') {
+    await replyToAdmin(message, `❌ 请回复一条已发送给用户的管理员回复，再使用 /delete 命令`, env)
+    return
+  }
+
+  try {
+    await deleteMessage(mapping.chatId, mapping.messageId, env.BOT_TOKEN)
+    await env.USER_STORAGE.delete(`msg:admin:${message.reply_to_message.message_id}`)
+    await env.USER_STORAGE.delete(`msg:user:${mapping.chatId}:${mapping.messageId}`)
+    await replyToAdmin(message, `🗑️ 已从用户 \`${mapping.chatId}\` 的聊天中删除该回复`, env)
+  } catch (error) {
+    console.error('删除用户侧消息失败:', error)
+    await replyToAdmin(message, `❌ 删除失败: ${error.message}\n\n（超过48小时的消息无法删除）`, env)
+  }
+}
+
+// 群发命令回复了媒体消息时返回该媒体的消息ID（回复的是用户转发消息或话题创建消息时除外）
+async function getBroadcastMediaMessageId(message, env) {
+  const repliedMessage = message.reply_to_message
+  const isMedia = !!repliedMessage && !repliedMessage.text && !isServiceMessage(repliedMessage) &&
+    !(await resolveReplyUserChatId(repliedMessage, env))
+  return isMedia ? repliedMessage.message_id : null
+}
+
+// 群发命令回复的媒体属于相册时，从KV缓冲中读取整个相册的媒体列表（缓冲已过期时只群发被回复的一项）
+async function getBroadcastMediaGroup(message, env) {
+  const mediaGroupId = message.reply_to_message?.media_group_id
+  if (!mediaGroupId || !env.USER_STORAGE) return null
+
+  const media = (await getMediaGroupItems(env.ADMIN_CHAT_ID, mediaGroupId, env)).map(item => item.media).filter(Boolean)
+  return media.length > 1 ? media : null
+}
+
+// 处理 /post 命令：回复媒体消息时群发该媒体，否则群发文本
+// 绑定KV存储时先发送预览并等待确认，确认后创建可恢复的群发任务；否则在本次请求中直接发送
+async function handlePostCommand(message, args, env) {
+  if (!args) {
+    await sendMessage(env.ADMIN_CHAT_ID, 
+      `📢 *群发功能使用说明*\n\n🎯 *命令格式:*\n• \`/post all 消息内容\` - 向所有用户群发\n• \`/post 123,456,789 消息内容\` - 向指定用户群发\n• \`/post tag:vip 消息内容\` - 向带有标签的用户群发\n\n🎯 *目标分组（逗号分隔，可组合）:*\n• \`tag:vip\` - 带有 vip 标签的用户\n• \`active:7d\` - 7天内活跃的用户\n• \`inactive:30d\` - 超过30天未活跃的用户\n• \`-tag:test\` \`-123\` - 以 - 开头表示排除\n\n💡 *示例:*\n• \`/post all 系统维护通知：今晚22:00-23:00进行维护\`\n• \`/post 123456789,987654321 您好，这是一条测试消息\`\n• \`/post tag:vip,active:7d,-tag:test 新品上线\`\n\n📎 *群发媒体:*\n回复包含图片/文件的消息，然后使用 /post 命令（回复相册中的任一项时群发整个相册）\n\n📋 *任务管理:*\n• \`/jobs\` - 查看群发任务进度\n• \`/cancel 任务ID\` - 取消进行中的群发\n• \`/recall 任务ID\` - 撤回已发送的群发\n• \`/editpost 任务ID 新内容\` - 修改已发送的群发\n\n⚠️ *注意:*\n• 使用 'all' 需要启用用户跟踪功能\n• 手动指定用户ID时，请用英文逗号分隔\n• 群发会自动限速以避免API限制\n• 绑定KV存储后会先显示预览，点击确认后才开始发送\n• 绑定KV存储后群发会分批执行，中断后由定时任务自动继续`, 
+      env.BOT_TOKEN, 
+      { reply_to_message_id: message.message_id }
+    )
+    return
+  }
+
+  const { targets, message: postMessage } = parsePostTargets(args)
+  
+  if (!postMessage) {
+    await sendMessage(env.ADMIN_CHAT_ID, 
+      `❌ 请提供要群发的消息内容`, 
+      env.BOT_TOKEN, 
+      { reply_to_message_id: message.message_id }
+    )
+    return
+  }
+
+  const targetsError = validatePostTargets(targets, env)
+  if (targetsError) {
+    await replyToAdmin(message, targetsError, env)
+    return
+  }
+
+  const mediaMessageId = await getBroadcastMediaMessageId(message, env)
+  const isMedia = !!mediaMessageId
+  const mediaGroup = isMedia ? await getBroadcastMediaGroup(message, env) : null
+
+  if (!env.USER_STORAGE) {
+    // 未绑定KV存储：直接发送
+    const { userIds, segments } = await resolvePostTargets(targets, env)
+    if (userIds.length === 0) {
+      await replyToAdmin(message, `❌ 未找到可广播的用户，请确保已启用用户跟踪功能`, env)
+      return
+    }
+
+    await sendMessage(env.ADMIN_CHAT_ID, 
+      `🚀 开始群发${isMedia ? '媒体' : ''}消息...\n${formatTargetSegments(segments)}\n📊 目标用户数: ${userIds.length}\n⏳ 请稍候...`, 
+      env.BOT_TOKEN, 
+      { reply_to_message_id: message.message_id }
+    )
+
+    const results = await broadcastMessage(userIds, postMessage, env, isMedia, { messageId: mediaMessageId, mediaGroup })
+    await sendMessage(env.ADMIN_CHAT_ID, formatBroadcastReport(results, isMedia), env.BOT_TOKEN)
+    return
+  }
+
+  const job = await createBroadcastJob({
+    targets,
+    message: postMessage,
+    isMedia,
+    mediaMessageId,
+    mediaGroup,
+    createdBy: getAdminName(message.from),
+    draft: true
+  }, env)
+
+  if (job.recipients.length === 0) {
+    await replyToAdmin(message, `❌ 未找到可广播的用户${formatTargetSegments(job.segments)}`, env)
+    await cancelBroadcastJob(job.id, env)
+    return
+  }
+
+  // 预览用户将收到的消息，标题使用默认语言（相册预览时确认面板回复其第一项）
+  const { defaultText } = await createRecipientTexts(env)
+  const [previewMessageId] = await sendBroadcastContent(env.ADMIN_CHAT_ID, postMessage, defaultText, { isMedia, mediaMessageId, mediaGroup }, env, {
+    reply_to_message_id: message.message_id
+  })
+
+  // 确认面板即群发的状态消息，确认后持续编辑该消息显示进度
+  const statusMessage = await sendMessage(env.ADMIN_CHAT_ID, formatJobProgress(job), env.BOT_TOKEN, {
+    reply_to_message_id: previewMessageId,
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ 确认发送', callback_data: `post:confirm:${job.id}` },
+        { text: '❌ 取消', callback_data: `post:cancel:${job.id}` }
+      ]]
+    }
+  })
+  job.statusMessageId = statusMessage.result.message_id
+  await saveBroadcastJob(job, env)
+}
+
+// 生成用户列表翻页按钮的回调数据，超出Telegram 64字节限制时返回null
+function buildUsersCallbackData(page, query) {
+  const data = `users:${page}:${query}`
+  return new TextEncoder().encode(data).length <= 64 ? data : null
+}
+
+// 渲染用户列表页面（文本和翻页按钮）
+function renderUserListPage(result, query, env) {
+  const { users, total, page, totalPages, offset } = result
+
+  if (total === 0) {
+    return {
+      text: query
+        ? `🔍 未找到匹配 "${query}" 的用户`
+        : `📭 暂无用户记录\n\n用户首次发送消息后会自动记录`
+    }
+  }
+
+  const userList = users.map((user, index) => {
+    const lastActive = formatTime(user.lastActive, env)
+    const statusLine = isUserActive(user) ? '' : `\n   状态: ${USER_STATUS_LABELS[user.status] || user.status}`
+    const tagsLine = user.tags && user.tags.length > 0 ? `\n   标签: ${user.tags.map(tag => `#${tag}`).join(' ')}` : ''
+    return `${offset + index + 1}. ${escapeMarkdown(user.userName)}\n   ID: \`${user.chatId}\`\n   最后活跃: ${lastActive}${statusLine}${tagsLine}`
+  }).join('\n\n')
+
+  const title = query ? `🔍 *搜索 "${query}"*` : '👥 *用户列表*'
+  const text = `${title} (第 ${page}/${totalPages} 页，共 ${total} 人)\n\n${userList}`
+
+  // 翻页按钮
+  const buttons = []
+  const prevData = page > 1 && buildUsersCallbackData(page - 1, query)
+  const nextData = page < totalPages && buildUsersCallbackData(page + 1, query)
+  if (prevData) buttons.push({ text: '◀️ 上一页', callback_data: prevData })
+  if (nextData) buttons.push({ text: '下一页 ▶️', callback_data: nextData })
+
+  return {
+    text,
+    reply_markup: buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined
+  }
+}
+
+// 处理 /users 命令：/users [页码]，/users find 关键词
+async function handleUsersCommand(message, args, env) {
+  if (env.ENABLE_USER_TRACKING !== 'true') {
+    await sendMessage(env.ADMIN_CHAT_ID, 
+      `❌ 用户跟踪功能未启用\n\n请设置环境变量 \`ENABLE_USER_TRACKING=true\` 并绑定KV存储`, 
+      env.BOT_TOKEN
+    )
+    return
+  }
+
+  let page = 1
+  let query = ''
+  const findMatch = args.match(/^find\s+([\s\S]+)$/i)
+  if (findMatch) {
+    query = findMatch[1].trim()
+  } else if (/^\d+$/.test(args)) {
+    page = parseInt(args, 10)
+  }
+
+  const result = await queryUsers(env, { page, query })
+  const { text, reply_markup } = renderUserListPage(result, query, env)
+
+  await replyToAdmin(message, text, env, { reply_markup })
+}
+
+// 处理 /tag 和 /untag 命令：/tag <id> 标签1,标签2，或回复转发消息 /tag 标签
+async function handleTagCommand(message, command, args, env) {
+  const { userChatId, rest } = await resolveCommandTarget(message, args, env)
+  const rawTags = rest.split(/[\s,，]+/).filter(Boolean)
+
+  if (!userChatId || rawTags.length === 0) {
+    await replyToAdmin(message,
+      `❌ 请指定用户和标签\n\n• \`/${command} 123456789 vip\`\n• 回复用户的转发消息并发送 \`/${command} vip\`\n• 多个标签用逗号或空格分隔`,
+      env
+    )
+    return
+  }
+
+  const tags = rawTags.map(normalizeTag)
+  const invalidTags = rawTags.filter((tag, index) => !tags[index])
+  if (invalidTags.length > 0) {
+    await replyToAdmin(message, `❌ 无效的标签: ${invalidTags.join(', ')}\n\n标签只能包含文字、数字和连字符，最长 ${MAX_TAG_LENGTH} 个字符`, env)
+    return
+  }
+
+  const record = await updateUserTags(userChatId, command === 'tag' ? { add: tags } : { remove: tags }, env)
+  if (!record) {
+    await replyToAdmin(message, `❌ 未找到用户 \`${userChatId}\` 的记录（用户需发送过消息且已启用用户跟踪）`, env)
+    return
+  }
+
+  const currentTags = record.tags.length > 0 ? record.tags.map(tag => `#${tag}`).join(' ') : '无'
+  const droppedTags = command === 'tag' ? tags.filter(tag => !record.tags.includes(tag)) : []
+  let limitNotice = ''
+  if (droppedTags.length > 0) {
+    limitNotice = `\n⚠️ 未添加: ${droppedTags.map(tag => `#${tag}`).join(' ')}（每个用户最多 ${MAX_USER_TAGS} 个标签，标签的总长度也有上限）`
+  } else if (command === 'tag' && record.tags.length >= MAX_USER_TAGS) {
+    limitNotice = `\n⚠️ 每个用户最多 ${MAX_USER_TAGS} 个标签`
+  }
+
+  await replyToAdmin(message,
+    `🏷️ 已${command === 'tag' ? '添加' : '移除'}用户 \`${userChatId}\` 的标签\n\n当前标签: ${currentTags}${limitNotice}`,
+    env
+  )
+}
+
+// 处理 /note 命令：/note <id> 备注内容，/note <id> - 清除备注
+async function handleNoteCommand(message, args, env) {
+  const { userChatId, rest: note } = await resolveCommandTarget(message, args, env)
+
+  if (!userChatId) {
+    await replyToAdmin(message,
+      `❌ 请指定用户\n\n• \`/note 123456789 备注内容\`\n• 回复用户的转发消息并发送 \`/note 备注内容\`\n• \`/note 123456789 -\` 清除备注`,
+      env
+    )
+    return
+  }
+
+  // 未提供内容时显示当前备注
+  if (!note) {
+    const record = await getUserRecord(userChatId, env)
+    await replyToAdmin(message,
+      record?.note ? `🗒️ 用户 \`${userChatId}\` 的备注:\n${record.note}` : `ℹ️ 用户 \`${userChatId}\` 暂无备注`,
+      env
+    )
+    return
+  }
+
+  const record = await setUserNote(userChatId, note === '-' ? '' : note, env)
+  if (!record) {
+    await replyToAdmin(message, `❌ 未找到用户 \`${userChatId}\` 的记录（用户需发送过消息且已启用用户跟踪）`, env)
+    return
+  }
+
+  await replyToAdmin(message,
+    record.note ? `🗒️ 已更新用户 \`${userChatId}\` 的备注` : `🗒️ 已清除用户 \`${userChatId}\` 的备注`,
+    env
+  )
+}
+
+// 对话记录中消息类型的显示文本
+const MESSAGE_TYPE_LABELS = {
+  photo: '[图片]',
+  video: '[视频]',
+  animation: '[动图]',
+  document: '[文件]',
+  audio: '[音频]',
+  voice: '[语音]',
+  video_note: '[视频消息]',
+  sticker: '[贴纸]',
+  location: '[位置]',
+  contact: '[联系人]',
+  poll: '[投票]',
+  media: '[媒体]'
+}
+
+// 处理 /history 命令：/history <id> [条数]，或回复转发消息 /history [条数]
+async function handleHistoryCommand(message, args, env) {
+  const { userChatId, rest } = await resolveCommandTarget(message, args, env)
+
+  if (!userChatId) {
+    await replyToAdmin(message,
+      `❌ 请指定用户\n\n• \`/history 123456789\` - 查看最近20条记录\n• \`/history 123456789 50\` - 查看最近50条\n• 回复用户的转发消息并发送 \`/history\``,
+      env
+    )
+    return
+  }
+
+  const limit = Math.min(50, parseInt(rest, 10) || 20)
+  const entries = await getConversationHistory(userChatId, limit, env)
+
+  if (entries.length === 0) {
+    await replyToAdmin(message, `📭 用户 \`${userChatId}\` 暂无对话记录${isHistoryEnabled(env) ? '' : '\n\n💡 设置 \`ENABLE_HISTORY=true\` 后开始记录'}`, env)
+    return
+  }
+
+  // 按时间正序显示，便于阅读
+  const lines = entries.reverse().map(entry => {
+    const time = formatTime(entry.at, env, { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+    const speaker = entry.direction === 'in' ? '⬅️ 用户' : `➡️ ${entry.by || '管理员'}`
+    const typeLabel = entry.type === 'text' ? '' : `${MESSAGE_TYPE_LABELS[entry.type] || '[媒体]'} `
+    return `${time} ${speaker}: ${typeLabel}${entry.text}`
+  })
+
+  // 记录中包含用户原文，以纯文本发送避免Markdown解析失败
+  await replyToAdmin(message,
+    `📜 用户 ${userChatId} 的对话记录（最近 ${entries.length} 条）\n\n${lines.join('\n\n')}`.substring(0, 4096),
+    env,
+    { parse_mode: undefined }
+  )
+}
+
+// CSV字段转义
+function escapeCsvField(value) {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// 处理 /export 命令：/export <id> [json|csv]，以文件形式导出用户的对话记录（最多最近1000条）
+async function handleExportCommand(message, args, env) {
+  const { userChatId, rest } = await resolveCommandTarget(message, args, env)
+  const format = (rest || 'json').toLowerCase()
+
+  if (!userChatId || !['json', 'csv'].includes(format)) {
+    await replyToAdmin(message,
+      `❌ 用法: \`/export 123456789 json\` 或 \`/export 123456789 csv\`\n\n也可以回复用户的转发消息并发送 \`/export csv\``,
+      env
+    )
+    return
+  }
+
+  const entries = (await getConversationHistory(userChatId, 1000, env, { full: true })).reverse()
+  if (entries.length === 0) {
+    await replyToAdmin(message, `📭 用户 \`${userChatId}\` 暂无对话记录`, env)
+    return
+  }
+
+  const content = format === 'json'
+    ? JSON.stringify({ chatId: userChatId, exportedAt: new Date().toISOString(), messages: entries }, null, 2)
+    // 带BOM，Excel打开时中文不会乱码
+    : '\ufeff' + [
+      'time,direction,type,by,text',
+      ...entries.map(entry => [entry.at, entry.direction, entry.type, entry.by, entry.text].map(escapeCsvField).join(','))
+    ].join('\r\n')
+
+  await sendDocument(env.ADMIN_CHAT_ID, `history-${userChatId}.${format}`, content, env.BOT_TOKEN, {
+    caption: `📜 用户 ${userChatId} 的对话记录，共 ${entries.length} 条`,
+    reply_to_message_id: message.message_id,
+    message_thread_id: message.message_thread_id
+  })
+}
+
+// 处理 /save 命令：回复一条消息 /save 模板名，将其保存为回复模板（同名覆盖）
+async function handleSaveTemplateCommand(message, args, env) {
+  const name = normalizeTemplateName(args.split(/\s+/)[0])
+  const source = message.reply_to_message
+
+  if (!name || !source || isServiceMessage(source)) {
+    await replyToAdmin(message,
+      `❌ 请回复要保存的消息并指定模板名称: \`/save 模板名\`\n\n模板名只能包含文字、数字、下划线和连字符，不能为纯数字`,
+      env
+    )
+    return
+  }
+
+  const template = {
+    name,
+    createdBy: getAdminName(message.from),
+    createdAt: new Date().toISOString()
+  }
+  // 保存消息实体，使用模板时保留粗体、链接、代码等格式
+  if (source.text) {
+    template.text = source.text
+    template.entities = source.entities || []
+  } else {
+    template.messageId = source.message_id
+    template.caption = source.caption || ''
+    template.caption_entities = source.caption_entities || []
+  }
+
+  await saveReplyTemplate(template, env)
+  await replyToAdmin(message,
+    `💾 已保存${template.messageId ? '媒体' : ''}模板 \`${name}\`\n\n回复用户消息并发送 \`/r ${name}\` 即可使用${template.messageId ? '\n⚠️ 媒体模板引用原消息，请勿删除被回复的消息' : ''}`,
+    env
+  )
+}
+
+// 处理 /templates 命令：列出回复模板
+async function handleTemplatesCommand(message, env) {
+  const templates = await listReplyTemplates(env)
+
+  if (templates.length === 0) {
+    await replyToAdmin(message, `📭 暂无回复模板\n\n回复一条消息并发送 \`/save 模板名\` 创建`, env)
+    return
+  }
+
+  const list = templates.slice(0, 50).map(template =>
+    `• \`${template.name}\`${template.isMedia ? ' 📎' : ''}${template.preview ? ` - ${template.preview.replace(/\s+/g, ' ')}` : ''}`
+  ).join('\n')
+
+  await replyToAdmin(message,
+    `📚 *回复模板* (${templates.length})\n\n${list}\n\n💡 回复用户消息并发送 \`/r 模板名\` 使用\n🔤 占位符: \`{name}\` 用户名称，\`{id}\` 用户ID，\`{admin}\` 管理员署名，\`{time}\` 当前时间`,
+    env
+  )
+}
+
+// 处理 /deltemplate 命令：删除回复模板
+async function handleDeleteTemplateCommand(message, args, env) {
+  const name = normalizeTemplateName(args.split(/\s+/)[0])
+  if (!name) {
+    await replyToAdmin(message, `❌ 请指定模板名称: \`/deltemplate 模板名\``, env)
+    return
+  }
+
+  const existed = await deleteReplyTemplate(name, env)
+  await replyToAdmin(message,
+    existed ? `🗑️ 已删除模板 \`${name}\`` : `❌ 未找到模板 \`${name}\``,
+    env
+  )
+}
+
+// 处理 /r 命令：回复用户的转发消息 /r 模板名，将模板发送给该用户
+async function handleTemplateReplyCommand(message, args, env) {
+  const { userChatId, rest } = await resolveCommandTarget(message, args, env)
+  const name = normalizeTemplateName(rest.split(/\s+/)[0])
+
+  if (!userChatId || !name) {
+    await replyToAdmin(message,
+      `❌ 请回复用户的转发消息并指定模板: \`/r 模板名\`\n\n也可以使用 \`/r 123456789 模板名\`，\`/templates\` 查看所有模板`,
+      env
+    )
+    return
+  }
+
+  const template = await getReplyTemplate(name, env)
+  if (!template) {
+    await replyToAdmin(message, `❌ 未找到模板 \`${name}\`\n\n使用 \`/templates\` 查看所有模板`, env)
+    return
+  }
+
+  // 占位符的值：用户名称来自用户记录（与 createUserInfo 一致），没有记录时使用用户ID
+  const record = await getUserRecord(userChatId, env)
+  const variables = {
+    name: record?.userName || userChatId,
+    id: userChatId,
+    admin: getAdminIdentity(message.from, env)?.name || getAdminName(message.from),
+    time: formatTime(Date.now(), env)
+  }
+
+  if (template.messageId) {
+    const { text: caption, entities } = renderTemplateWithEntities(template.caption, template.caption_entities, variables)
+    await sendReplyToUser(message, userChatId, env, { template: { message_id: template.messageId, caption, caption_entities: entities } })
+  } else {
+    const { text, entities } = renderTemplateWithEntities(template.text, template.entities, variables)
+    await sendReplyToUser(message, userChatId, env, { template: { text, entities } })
+  }
+}
+
+// 处理 /autoreply 命令：add [--swallow] <匹配条件> <回复内容> | list | del <ID>
+async function handleAutoReplyCommand(message, args, env) {
+  const [subcommand, ...rest] = args.split(' ')
+  const subArgs = rest.join(' ').trim()
+  const usage = `🤖 *自动回复使用说明*\n\n• \`/autoreply add 关键词 回复内容\` - 添加关键词规则\n• \`/autoreply add 营业时间,几点开门 回复内容\` - 多个关键词用逗号分隔\n• \`/autoreply add /^价格|多少钱/i 回复内容\` - 添加正则规则\n• \`/autoreply add --swallow 关键词 回复内容\` - 自动回复后不再转发给管理员\n• \`/autoreply list\` - 查看规则\n• \`/autoreply del 规则ID\` - 删除规则\n\n💡 默认自动回复后仍会转发给管理员；关键词规则会显示在用户的 /faq 列表中`
+
+  if (subcommand === 'add') {
+    const swallow = /^--swallow\s+/.test(subArgs)
+    const parsed = parseAutoReplyRule(subArgs.replace(/^--(swallow|forward)\s+/, ''))
+    if (!parsed || parsed.error) {
+      await replyToAdmin(message, `❌ ${parsed?.error || '请提供匹配条件和回复内容'}\n\n${usage}`, env)
+      return
+    }
+
+    const data = await getAutoReplyRules(env)
+    const rule = {
+      id: data.nextId,
+      ...parsed,
+      forward: !swallow,
+      createdBy: getAdminName(message.from),
+      createdAt: new Date().toISOString()
+    }
+    data.rules.push(rule)
+    data.nextId++
+    await saveAutoReplyRules(data, env)
+
+    await replyToAdmin(message,
+      `✅ 已添加自动回复规则 #${rule.id}\n\n🔍 匹配: \`${formatAutoReplyPattern(rule)}\`\n📨 ${rule.forward ? '自动回复后仍转发给管理员' : '自动回复后不转发'}`,
+      env
+    )
+    return
+  }
+
+  if (subcommand === 'list') {
+    const { rules } = await getAutoReplyRules(env)
+    if (rules.length === 0) {
+      await replyToAdmin(message, `📭 暂无自动回复规则\n\n${usage}`, env)
+      return
+    }
+
+    const list = rules.map(rule => {
+      const preview = rule.response.length > 40 ? `${rule.response.substring(0, 40)}...` : rule.response
+      return `#${rule.id} ${rule.type === 'regex' ? '正则' : '关键词'} \`${formatAutoReplyPattern(rule)}\`${rule.forward ? '' : ' 🔇'}\n   回复: ${preview}`
+    }).join('\n\n')
+
+    await replyToAdmin(message, `🤖 *自动回复规则* (${rules.length})\n\n${list}\n\n🔇 表示自动回复后不转发给管理员`, env)
+    return
+  }
+
+  if (subcommand === 'del') {
+    const ruleId = parseInt(subArgs, 10)
+    const data = await getAutoReplyRules(env)
+    const index = data.rules.findIndex(rule => rule.id === ruleId)
+    if (index === -1) {
+      await replyToAdmin(message, `❌ 未找到规则 #${subArgs}`, env)
+      return
+    }
+
+    data.rules.splice(index, 1)
+    await saveAutoReplyRules(data, env)
+    await replyToAdmin(message, `🗑️ 已删除自动回复规则 #${ruleId}`, env)
+    return
+  }
+
+  await replyToAdmin(message, usage, env)
+}
+
+// 处理 /settext 命令：覆盖用户可见的文本，键:语言 只覆盖指定语言，文本为 - 时恢复默认
+async function handleSetTextCommand(message, args, env) {
+  const customTexts = await getCustomTexts(env)
+  const match = args.match(/^(\S+)\s+([\s\S]+)$/)
+
+  if (!match) {
+    const overrides = Object.entries(customTexts).map(([key, value]) => {
+      const preview = value.length > 40 ? `${value.substring(0, 40)}...` : value
+      return `• \`${key}\` - ${escapeMarkdown(preview.replace(/\s+/g, ' '))}`
+    })
+    await replyToAdmin(message,
+      `📝 *自定义用户文本*\n\n• \`/settext 键 文本\` - 覆盖所有语言的文本\n• \`/settext 键:en 文本\` - 只覆盖指定语言\n• \`/settext 键 -\` - 恢复默认文本\n\n💡 文本支持Markdown格式，占位符（如 \`{seconds}\`）与默认文本相同\n\n🔑 *可用的键:*\n${Object.keys(USER_MESSAGES.zh).map(key => `\`${key}\``).join(' ')}\n\n🌐 *语言:* ${Object.keys(USER_MESSAGES).map(code => `\`${code}\``).join(' ')}\n\n📋 *已覆盖的文本:*\n${overrides.length > 0 ? overrides.join('\n') : '无'}`,
+      env
+    )
+    return
+  }
+
+  const [target, value] = [match[1], match[2].trim()]
+  const [key, language] = target.split(':')
+  if (!USER_MESSAGES.zh[key] || (language !== undefined && !USER_MESSAGES[language])) {
+    await replyToAdmin(message, `❌ 未知的文本键: \`${target}\`\n\n发送 \`/settext\` 查看可用的键和语言`, env)
+    return
+  }
+
+  if (value === '-') {
+    delete customTexts[target]
+  } else {
+    customTexts[target] = value
+  }
+  await env.USER_STORAGE.put('custom_texts', JSON.stringify(customTexts))
+
+  await replyToAdmin(message,
+    value === '-'
+      ? `🗑️ 已恢复默认文本: \`${target}\``
+      : `✅ 已更新文本 \`${target}\`${language ? '' : '（所有语言）'}，用户将收到:\n\n${value}`,
+    env
+  )
+}
+
+// 处理 /away 命令：进入离开状态，可附带给用户的说明
+async function handleAwayCommand(message, args, env) {
+  const awayStatus = {
+    message: args,
+    by: getAdminName(message.from),
+    since: new Date().toISOString()
+  }
+  await env.USER_STORAGE.put('away_status', JSON.stringify(awayStatus))
+
+  await replyToAdmin(message,
+    `🏖️ 已进入离开状态\n\n用户发送消息后会收到离开提示${args ? `:\n📝 ${args}` : ''}\n消息仍会照常转发，使用 \`/back\` 返回并查看离开期间的消息汇总`,
+    env
+  )
+}
+
+// 处理 /back 命令：退出离开状态，汇总离开期间收到的消息
+// 汇总发送成功后才清除离开状态和消息记录，发送失败时可以再次使用 /back
+async function handleBackCommand(message, env) {
+  const awayStatus = await getAwayStatus(env)
+  if (!awayStatus) {
+    await replyToAdmin(message, `ℹ️ 当前不是离开状态`, env)
+    return
+  }
+
+  const entries = await listAwayMessages(env)
+  const since = formatTime(awayStatus.since, env)
+
+  if (entries.length === 0) {
+    await replyToAdmin(message, `👋 欢迎回来！\n\n离开期间（${since} 起）没有收到用户消息`, env)
+  } else {
+    const totalMessages = entries.reduce((sum, entry) => sum + entry.count, 0)
+    const blocks = entries.slice(0, 30).map((entry, index) => {
+      const lastAt = formatTime(entry.lastAt, env)
+      return `${index + 1}. ${escapeMarkdown(entry.userName)} (\`${entry.chatId}\`) - ${entry.count} 条\n   最后: ${lastAt}\n   ${escapeMarkdown(entry.preview)}`
+    })
+    if (entries.length > 30) blocks.push(`... 还有 ${entries.length - 30} 位用户`)
+
+    // 用户名和消息摘要较长时汇总可能超过单条消息的长度上限，分多条发送
+    const header = `👋 *欢迎回来！*\n\n离开期间（${since} 起）共收到 ${entries.length} 位用户的 ${totalMessages} 条消息:`
+    for (const chunk of packMessageChunks([header, ...blocks])) {
+      await replyToAdmin(message, chunk, env)
+    }
+  }
+
+  await env.USER_STORAGE.delete('away_status')
+  await clearAwayMessages(entries, env)
+}
+
+// 处理 /jobs 命令：查看最近的群发任务
+async function handleJobsCommand(message, env) {
+  const jobs = await listBroadcastJobs(env)
+
+  if (jobs.length === 0) {
+    await replyToAdmin(message, `📭 暂无群发任务`, env)
+    return
+  }
+
+  const list = jobs.slice(0, 10).map((job, index) => {
+    const createdAt = formatTime(job.createdAt, env)
+    return `${index + 1}. \`${job.id}\` ${JOB_STATUS_LABELS[job.status] || job.status}\n   进度: ${job.success + job.failed}/${job.total} (✅ ${job.success} ❌ ${job.failed})\n   创建时间: ${createdAt}`
+  }).join('\n\n')
+
+  await replyToAdmin(message, `📋 *群发任务* (最近 ${Math.min(jobs.length, 10)}/${jobs.length})\n\n${list}`, env)
+}
+
+// 处理 /cancel 命令：取消进行中的群发任务
+async function handleCancelCommand(message, args, env) {
+  const jobId = args.split(/\s+/)[0]
+  if (!jobId) {
+    await replyToAdmin(message, `❌ 请指定任务ID: \`/cancel 任务ID\`\n\n使用 \`/jobs\` 查看任务列表`, env)
+    return
+  }
+
+  const job = await cancelBroadcastJob(jobId, env)
+  if (!job) {
+    await replyToAdmin(message, `❌ 未找到任务 \`${jobId}\``, env)
+    return
+  }
+
+  if (job.cancelledAt) {
+    await replyToAdmin(message, `🛑 已取消群发任务 \`${job.id}\`\n\n已发送: ${job.success + job.failed}/${job.recipients.length}`, env)
+  } else {
+    await replyToAdmin(message, `ℹ️ 任务 \`${job.id}\` 已${job.status === 'completed' ? '完成' : '取消'}，无需取消`, env)
+  }
+}
+
+// 处理 /recall 命令：从所有接收者的聊天中删除群发消息
+async function handleRecallCommand(message, args, env) {
+  const jobId = args.split(/\s+/)[0]
+  if (!jobId) {
+    await replyToAdmin(message, `❌ 请指定任务ID: \`/recall 任务ID\`\n\n使用 \`/jobs\` 查看任务列表`, env)
+    return
+  }
+
+  const job = await getBroadcastJob(jobId, env)
+  if (!job) {
+    await replyToAdmin(message, `❌ 未找到任务 \`${jobId}\``, env)
+    return
+  }
+
+  if (job.status === 'pending' || job.status === 'running') {
+    await replyToAdmin(message, `⚠️ 任务 \`${job.id}\` 仍在发送中，请先使用 \`/cancel ${job.id}\` 取消后再撤回`, env)
+    return
+  }
+
+  const results = await recallBroadcastJob(job, env)
+  if (results.success + results.failed === 0) {
+    await replyToAdmin(message, `ℹ️ 任务 \`${job.id}\` 没有可撤回的消息`, env)
+    return
+  }
+
+  await replyToAdmin(message,
+    `🗑️ *群发撤回完成*\n\n🆔 任务: \`${job.id}\`\n✅ 已撤回: ${results.success}\n❌ 失败: ${results.failed}${results.failed > 0 ? `\n\n💡 Telegram只允许删除48小时内发送的消息\n${results.errors.slice(0, 5).join('\n')}` : ''}`,
+    env
+  )
+}
+
+// 处理 /editpost 命令：修改所有接收者已收到的群发消息
+async function handleEditPostCommand(message, args, env) {
+  const [jobId] = args.split(/\s+/)
+  const newMessage = jobId ? args.substring(jobId.length).trim() : ''
+  if (!jobId || !newMessage) {
+    await replyToAdmin(message, `❌ 请指定任务ID和新的内容: \`/editpost 任务ID 新的消息内容\``, env)
+    return
+  }
+
+  const job = await getBroadcastJob(jobId, env)
+  if (!job) {
+    await replyToAdmin(message, `❌ 未找到任务 \`${jobId}\``, env)
+    return
+  }
+
+  if (job.status === 'pending' || job.status === 'running') {
+    await replyToAdmin(message, `⚠️ 任务 \`${job.id}\` 仍在发送中，请等待完成后再修改`, env)
+    return
+  }
+
+  const results = await editBroadcastJob(job, newMessage, env)
+  if (results.success + results.failed === 0) {
+    await replyToAdmin(message, `ℹ️ 任务 \`${job.id}\` 没有可修改的消息`, env)
+    return
+  }
+
+  await replyToAdmin(message,
+    `✏️ *群发修改完成*\n\n🆔 任务: \`${job.id}\`\n✅ 已修改: ${results.success}\n❌ 失败: ${results.failed}${results.failed > 0 ? `\n\n${results.errors.slice(0, 5).join('\n')}` : ''}`,
+    env
+  )
+}
+
+// 处理 /schedule 命令：/schedule <时间> <目标> <消息内容>，回复媒体消息时定时群发该媒体
+async function handleScheduleCommand(message, args, env) {
+  const usage = `⏰ *定时群发使用说明*\n\n🎯 *命令格式:*\n\`/schedule 时间 目标 消息内容\`\n\n🕐 *时间格式（${getTimeZone(env)}）:*\n• \`2025-01-01T09:00\` - 指定日期时间\n• \`09:00\` - 下一个09:00\n• \`daily@09:00\` - 每天09:00\n• \`weekly@mon@09:00\` - 每周一09:00（mon/tue/wed/thu/fri/sat/sun）\n\n🎯 *目标:* 与 /post 相同，如 \`all\`、\`123,456,789\`、\`tag:vip,-tag:test\`\n\n💡 *示例:*\n• \`/schedule 2025-01-01T22:00 all 系统将于今晚维护\`\n• \`/schedule weekly@fri@18:00 all 周末愉快！\`\n\n📎 回复媒体消息使用 /schedule 可定时群发该媒体\n📋 \`/schedules\` 查看，\`/unschedule ID\` 删除`
+
+  const [spec, ...rest] = args.split(' ')
+  if (!spec) {
+    await replyToAdmin(message, usage, env)
+    return
+  }
+
+  const rule = parseScheduleSpec(spec)
+  if (!rule) {
+    await replyToAdmin(message, `❌ 无法识别的时间格式: \`${spec}\`\n\n${usage}`, env)
+    return
+  }
+
+  if (!getNextScheduleRun(rule, Date.now(), getTimeZone(env))) {
+    await replyToAdmin(message, `❌ 指定的时间已过: \`${spec}\``, env)
+    return
+  }
+
+  const { targets, message: postMessage } = parsePostTargets(rest.join(' '))
+
+  if (!postMessage) {
+    await replyToAdmin(message, `❌ 请提供目标用户和要群发的消息内容\n\n格式: \`/schedule 时间 目标 消息内容\``, env)
+    return
+  }
+
+  const targetsError = validatePostTargets(targets, env)
+  if (targetsError) {
+    await replyToAdmin(message, targetsError, env)
+    return
+  }
+
+  const mediaMessageId = await getBroadcastMediaMessageId(message, env)
+  const schedule = await createBroadcastSchedule({
+    spec,
+    targets,
+    message: postMessage,
+    isMedia: !!mediaMessageId,
+    mediaMessageId,
+    mediaGroup: mediaMessageId ? await getBroadcastMediaGroup(message, env) : null,
+    createdBy: getAdminName(message.from)
+  }, env)
+
+  const nextRunAt = formatTime(schedule.nextRunAt, env)
+  await replyToAdmin(message,
+    `✅ 已创建定时${schedule.isMedia ? '媒体' : ''}群发\n\n🆔 ID: \`${schedule.id}\`\n🔁 规则: ${formatScheduleRule(rule)}\n⏰ 下次执行: ${nextRunAt}\n🎯 目标: ${formatPostTargets(targets)}\n\n使用 \`/unschedule ${schedule.id}\` 删除`,
+    env
+  )
+}
+
+// 处理 /schedules 命令：列出定时群发
+async function handleSchedulesCommand(message, env) {
+  const schedules = await listBroadcastSchedules(env)
+
+  if (schedules.length === 0) {
+    await replyToAdmin(message, `📭 暂无定时群发\n\n使用 \`/schedule\` 创建`, env)
+    return
+  }
+
+  const shownSchedules = schedules.slice(0, 20)
+  const details = await Promise.all(shownSchedules.map(s => getBroadcastSchedule(s.id, env)))
+  const list = details.filter(Boolean).map((schedule, index) => {
+    const nextRunAt = formatTime(schedule.nextRunAt, env)
+    const preview = schedule.message.length > 30 ? `${schedule.message.substring(0, 30)}...` : schedule.message
+    return `${index + 1}. \`${schedule.id}\` ${formatScheduleRule(schedule.rule)}${schedule.isMedia ? ' 📎' : ''}\n   下次执行: ${nextRunAt}\n   目标: ${formatPostTargets(schedule.targets)}\n   内容: ${preview}`
+  }).join('\n\n')
+
+  await replyToAdmin(message, `⏰ *定时群发* (${Math.min(schedules.length, 20)}/${schedules.length})\n\n${list}`, env)
+}
+
+// 处理 /unschedule 命令：删除定时群发
+async function handleUnscheduleCommand(message, args, env) {
+  const scheduleId = args.split(/\s+/)[0]
+  if (!scheduleId) {
+    await replyToAdmin(message, `❌ 请指定定时群发ID: \`/unschedule ID\`\n\n使用 \`/schedules\` 查看列表`, env)
+    return
+  }
+
+  const existed = await deleteBroadcastSchedule(scheduleId, env)
+  await replyToAdmin(message,
+    existed ? `🗑️ 已删除定时群发 \`${scheduleId}\`` : `❌ 未找到定时群发 \`${scheduleId}\``,
+    env
+  )
+}
+
+// 处理管理员消息
+async function handleAdminMessage(message, env, admin) {
+  try {
+    // 权限检查：群发、封禁等命令仅限 owner
+    const command = parseCommand(message.text)
+    if (command && OWNER_COMMANDS.has(command.command) && admin.role !== 'owner') {
+      await replyToAdmin(message, `❌ 权限不足：\`/${command.command}\` 仅限 owner 角色使用`, env)
+      return
+    }
+
+    // 同一条命令消息被重复处理时（如更新去重记录尚未生效）不再执行
+    if (command && IDEMPOTENT_COMMANDS.has(command.command) && !(await claimCommandExecution(message, env))) {
+      console.warn(`跳过重复执行的命令: /${command.command} (消息 ${message.message_id})`)
+      return
+    }
+
+    // 管理员命令处理
+    if (message.text === '/start') {
+      const userTrackingStatus = env.ENABLE_USER_TRACKING === 'true' ? '🟢 已启用' : '🔴 未启用'
+      const forumModeStatus = isForumMode(env) ? '🟢 已启用' : '🔴 未启用'
+      const verificationStatus = isVerificationEnabled(env) ? '🟢 已启用' : '🔴 未启用'
+      await sendMessage(env.ADMIN_CHAT_ID, 
+        `🔧 *管理员面板*\n\n👋 欢迎使用消息转发机器人管理面板！\n\n📋 *可用命令:*\n• \`/status\` - 查看机器人状态\n• \`/help\` - 显示帮助信息\n• \`/post\` - 群发消息功能\n• \`/jobs\` \`/cancel\` \`/recall\` \`/editpost\` - 群发任务管理\n• \`/schedule\` \`/schedules\` \`/unschedule\` - 定时群发\n• \`/users\` - 查看用户列表（需启用用户跟踪）\n• \`/tag\` \`/untag\` \`/note\` - 用户标签和备注\n• \`/history\` \`/export\` - 对话记录\n• \`/r\` \`/save\` \`/templates\` - 回复模板\n• \`/autoreply\` - 关键词自动回复\n• \`/settext\` - 自定义用户文本\n• \`/away\` \`/back\` - 离开模式\n• \`/ban\` \`/unban\` \`/banned\` - 封禁管理\n• \`/verify\` - 手动通过人机验证\n• \`/delete\` - 删除已发送给用户的回复\n\n💡 *使用说明:*\n• 直接回复用户消息即可回复给对应用户\n• 使用 /post 命令进行消息群发\n\n📊 *系统状态:*\n• 用户跟踪: ${userTrackingStatus}\n• 论坛话题模式: ${forumModeStatus}\n• 人机验证: ${verificationStatus}\n• 用户默认语言: ${LANGUAGE_NAMES[getDefaultLanguage(env)]}\n• 时区: ${getTimeZone(env)}\n• 你的角色: ${admin.role}\n\n🤖 机器人已就绪，等待用户消息...`, 
+        env.BOT_TOKEN
+      )
+      return
+    }
+
+    if (message.text === '/status') {
+      const userCount = env.ENABLE_USER_TRACKING === 'true' 
+        ? (await getUsersFromKV(env)).length 
+        : '未启用跟踪'
+      const awayStatus = await getAwayStatus(env)
+      const availability = awayStatus
+        ? `🏖️ 离开中（${awayStatus.by}）`
+        : env.BUSINESS_HOURS
+          ? (isWithinBusinessHours(env) ? '🟢 工作时间' : '🌙 非工作时间')
+          : '🟢 在线'
+      
+      await sendMessage(env.ADMIN_CHAT_ID, 
+        `📊 *机器人状态*\n\n🟢 状态: 运行中\n🔄 模式: 无状态转发\n👥 已跟踪用户: ${userCount}\n🕐 值班状态: ${availability}\n⏰ 查询时间: ${formatTime(Date.now(), env)}`, 
+        env.BOT_TOKEN
+      )
+      return
+    }
+
+    if (message.text === '/help') {
+      await sendMessage(env.ADMIN_CHAT_ID, 
+        `❓ *帮助信息*\n\n🔄 *回复用户:*\n直接回复用户的消息即可发送回复给对应用户\n论坛话题模式下，在用户的专属话题中直接发送消息即可\n编辑已发送的回复会同步修改用户收到的消息\n回复自己的回复并发送 \`/delete\` 可从用户聊天中删除\n\n📚 *回复模板:*\n• 回复一条消息并发送 \`/save 模板名\` - 保存为模板（支持媒体）\n• 回复用户消息并发送 \`/r 模板名\` - 发送模板\n• \`/templates\` - 查看模板，\`/deltemplate 模板名\` - 删除模板\n• 占位符: \`{name}\` \`{id}\` \`{admin}\` \`{time}\`\n\n🤖 *自动回复:*\n• \`/autoreply add 关键词 回复内容\` - 添加规则（支持 \`/正则/\`，\`--swallow\` 不转发）\n• \`/autoreply list\` - 查看规则\n• \`/autoreply del 规则ID\` - 删除规则\n• 用户发送 /faq 可查看关键词规则列表\n\n🌐 *多语言:*\n• 用户看到的提示按其Telegram语言显示（中文/English），用户可发送 /lang 切换\n• \`/settext welcome 欢迎语\` - 覆盖用户文本，\`welcome:en\` 只覆盖英文，\`-\` 恢复默认\n• \`/settext\` - 查看可用的键和已覆盖的文本\n\n🏖️ *离开模式:*\n• \`/away 说明\` - 进入离开状态，用户会收到离开提示（消息仍照常转发）\n• \`/back\` - 返回并查看离开期间的消息汇总\n• 配置 \`BUSINESS_HOURS\` 后，非工作时间用户也会收到提示\n\n📢 *群发消息:*\n• \`/post all 消息内容\` - 向所有用户群发（需启用用户跟踪）\n• \`/post 123,456,789 消息内容\` - 向指定用户群发\n• \`/post tag:vip,active:7d,-tag:test 消息内容\` - 按标签和活跃度群发\n• 回复媒体消息并使用 /post 命令可群发媒体（回复相册中的任一项时群发整个相册）\n• \`/jobs\` - 查看群发任务进度\n• \`/cancel 任务ID\` - 取消进行中的群发\n• \`/recall 任务ID\` - 撤回已发送的群发（48小时内）\n• \`/editpost 任务ID 新内容\` - 修改已发送的群发\n\n⏰ *定时群发:*\n• \`/schedule 时间 目标 消息内容\` - 创建定时群发\n• 时间格式: \`2025-01-01T09:00\`、\`09:00\`、\`daily@09:00\`、\`weekly@mon@09:00\`\n• \`/schedules\` - 查看定时群发\n• \`/unschedule ID\` - 删除定时群发\n\n👥 *用户管理:*\n• \`/users\` - 查看已跟踪的用户列表（按最后活跃排序）\n• \`/users 3\` - 查看第3页\n• \`/users find 关键词\` - 按用户名或ID搜索用户\n• \`/tag 123456789 vip\` - 为用户添加标签（也可回复转发消息使用）\n• \`/untag 123456789 vip\` - 移除标签\n• \`/note 123456789 备注\` - 设置备注，\`-\` 清除\n• \`/history 123456789\` - 查看对话记录（也可回复转发消息使用）\n• \`/export 123456789 csv\` - 导出对话记录（json 或 csv）\n\n👮 *管理员角色:*\n• owner - 可使用全部命令\n• responder - 可回复用户，不能群发和封禁\n\n🚫 *封禁管理:*\n• \`/ban 123456789 原因\` - 封禁用户（也可回复转发消息使用）\n• \`/unban 123456789\` - 解除封禁\n• \`/banned\` - 查看封禁名单\n• \`/verify 123456789\` - 手动通过人机验证（同时解除验证失败导致的封禁）\n\n📝 *消息格式:*\n• 支持文本、图片、文件等各种消息类型，相册会作为整体转发\n• 用户和管理员消息中的粗体、斜体、链接等格式会原样保留\n\n⚙️ *命令列表:*\n• \`/start\` - 显示欢迎信息\n• \`/status\` - 查看机器人状态\n• \`/help\` - 显示此帮助信息\n• \`/post\` - 群发消息功能\n• \`/users\` - 查看用户列表\n• \`/tag\` \`/untag\` - 管理用户标签\n• \`/note\` - 设置用户备注\n• \`/history\` - 查看对话记录\n• \`/export\` - 导出对话记录\n• \`/ban\` - 封禁用户\n• \`/unban\` - 解除封禁\n• \`/banned\` - 查看封禁名单\n• \`/verify\` - 手动通过验证\n• \`/delete\` - 删除已发送的回复\n• \`/r\` - 使用模板回复\n• \`/save\` - 保存回复模板\n• \`/templates\` - 查看回复模板\n• \`/deltemplate\` - 删除回复模板\n• \`/autoreply\` - 管理自动回复\n• \`/settext\` - 自定义用户文本\n• \`/away\` - 进入离开状态\n• \`/back\` - 退出离开状态\n• \`/jobs\` - 查看群发任务\n• \`/cancel\` - 取消群发任务\n• \`/recall\` - 撤回群发\n• \`/editpost\` - 修改群发\n• \`/schedule\` - 创建定时群发\n• \`/schedules\` - 查看定时群发\n• \`/unschedule\` - 删除定时群发`, 
+        env.BOT_TOKEN
+      )
+      return
+    }
+
+    if (command && command.command === 'post') {
+      await handlePostCommand(message, command.args, env)
+      return
+    }
+
+    if (command && command.command === 'users') {
+      await handleUsersCommand(message, command.args, env)
+      return
+    }
+
+    if (command && ['jobs', 'cancel', 'recall', 'editpost'].includes(command.command)) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 群发任务需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'jobs') {
+        await handleJobsCommand(message, env)
+      } else if (command.command === 'cancel') {
+        await handleCancelCommand(message, command.args, env)
+      } else if (command.command === 'recall') {
+        await handleRecallCommand(message, command.args, env)
+      } else {
+        await handleEditPostCommand(message, command.args, env)
+      }
+      return
+    }
+
+    if (command && ['schedule', 'schedules', 'unschedule'].includes(command.command)) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 定时群发需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'schedule') {
+        await handleScheduleCommand(message, command.args, env)
+      } else if (command.command === 'schedules') {
+        await handleSchedulesCommand(message, env)
+      } else {
+        await handleUnscheduleCommand(message, command.args, env)
+      }
+      return
+    }
+
+    if (command && (command.command === 'away' || command.command === 'back')) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 离开模式需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'away') {
+        await handleAwayCommand(message, command.args, env)
+      } else {
+        await handleBackCommand(message, env)
+      }
+      return
+    }
+
+    if (command && command.command === 'autoreply') {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 自动回复需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      await handleAutoReplyCommand(message, command.args, env)
+      return
+    }
+
+    if (command && command.command === 'settext') {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 自定义文本需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      await handleSetTextCommand(message, command.args, env)
+      return
+    }
+
+    if (command && ['save', 'templates', 'deltemplate', 'r'].includes(command.command)) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 回复模板需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'save') {
+        await handleSaveTemplateCommand(message, command.args, env)
+      } else if (command.command === 'templates') {
+        await handleTemplatesCommand(message, env)
+      } else if (command.command === 'deltemplate') {
+        await handleDeleteTemplateCommand(message, command.args, env)
+      } else {
+        await handleTemplateReplyCommand(message, command.args, env)
+      }
+      return
+    }
+
+    if (command && ['tag', 'untag', 'note'].includes(command.command)) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 用户标签和备注需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'note') {
+        await handleNoteCommand(message, command.args, env)
+      } else {
+        await handleTagCommand(message, command.command, command.args, env)
+      }
+      return
+    }
+
+    if (command && ['history', 'export'].includes(command.command)) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 对话记录需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'history') {
+        await handleHistoryCommand(message, command.args, env)
+      } else {
+        await handleExportCommand(message, command.args, env)
+      }
+      return
+    }
+
+    if (command && command.command === 'delete') {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 删除回复需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      await handleDeleteCommand(message, env)
+      return
+    }
+
+    if (command && command.command === 'verify') {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 人机验证需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      await handleVerifyCommand(message, command.args, env)
+      return
+    }
+
+    if (command && ['ban', 'unban', 'banned'].includes(command.command)) {
+      if (!env.USER_STORAGE) {
+        await replyToAdmin(message, `❌ 封禁功能需要绑定KV存储 \`USER_STORAGE\``, env)
+        return
+      }
+
+      if (command.command === 'ban') {
+        await handleBanCommand(message, command.args, env)
+      } else if (command.command === 'unban') {
+        await handleUnbanCommand(message, command.args, env)
+      } else {
+        await handleBannedCommand(message, env)
+      }
+      return
+    }
+
+    // 相册：各项先缓冲，由最后到达的一项整体处理；未回复用户的相册同样缓冲，供之后回复它使用 /post 群发
+    let album = null
+    if (message.media_group_id && env.USER_STORAGE) {
+      album = await collectMediaGroup(message, env)
+      if (!album) return
+    }
+
+    // 论坛话题模式：用户话题中的消息无需回复即可直接发送给该用户
+    const topicUserChatId = await resolveTopicUserChatId(message, env)
+    if (topicUserChatId) {
+      await sendReplyToUser(message, topicUserChatId, env, { album })
+      return
+    }
+
+    // 处理回复消息
+    if (message.reply_to_message) {
+      const repliedMessage = message.reply_to_message
+      
+      // 解析被回复消息所属的用户（KV消息映射优先，兼容带用户标识的旧消息）
+      const userChatId = await resolveReplyUserChatId(repliedMessage, env)
+
+      // 普通回复处理
+      if (!userChatId) {
+        await sendMessage(env.ADMIN_CHAT_ID, 
+          `⚠️ 无法识别用户信息。请回复用户的转发消息（消息映射已过期时需带有用户标识）。`, 
+          env.BOT_TOKEN, 
+          { reply_to_message_id: message.message_id }
+        )
+        return
+      }
+
+      await sendReplyToUser(message, userChatId, env, { album })
+    } else {
+      // 普通消息（非回复）
+      await sendMessage(env.ADMIN_CHAT_ID, 
+        `💡 *提示:* 请回复具体的用户消息来发送回复，或使用群发命令。\n\n📢 群发: \`/post all 消息内容\`\n❓ 帮助: \`/help\``, 
+        env.BOT_TOKEN, 
+        { reply_to_message_id: message.message_id }
+      )
+    }
+  } catch (error) {
+    console.error('处理管理员消息错误:', error)
+    try {
+      await sendMessage(env.ADMIN_CHAT_ID, `❌ 处理消息时发生错误: ${error.message}`, env.BOT_TOKEN)
+    } catch (sendError) {
+      console.error('发送错误消息失败:', sendError)
+    }
+  }
+}
+
+// 处理消息
+async function handleMessage(message, env) {
+  // 输入验证
+  if (!message || !message.from || !message.chat) {
+    console.error('无效的消息格式')
+    return
+  }
+
+  const chatId = message.chat.id
+  const userId = message.from.id
+  const userName = message.from.username || message.from.first_name || 'Unknown'
+  const isAdmin = chatId.toString() === env.ADMIN_CHAT_ID.toString()
+  const threadId = message.is_topic_message ? message.message_thread_id : null
+
+  console.log(`收到消息: 来自 ${userName} (${userId}) 在聊天 ${chatId}${threadId ? ` 话题 ${threadId}` : ''}`)
+
+  // 管理员群组中的话题创建、成员变动等服务消息无需处理
+  if (isAdmin && isServiceMessage(message)) return
+
+  // 先按发送者确定管理员身份：管理员聊天中按 ADMIN_USERS 判断（未配置时所有人均为 owner），其他聊天中只认 ADMIN_USERS 中的管理员
+  const admin = isAdmin || isMultiAdmin(env) ? getAdminIdentity(message.from, env) : null
+
+  if (isAdmin) {
+    // 多管理员模式下，管理员群组中未列入 ADMIN_USERS 的成员消息不做处理
+    if (!admin) {
+      console.log(`忽略非管理员成员的消息: ${userName} (${userId})`)
+      return
+    }
+
+    await handleAdminMessage(message, env, admin)
+  } else if (admin) {
+    await handleAdminPrivateMessage(message, env, admin)
+  } else {
+    await handleUserMessage(message, env)
+  }
+}
+
+// ADMIN_USERS 中的管理员私聊机器人：不按用户消息转发、限流或验证，提示在管理员聊天中操作
+async function handleAdminPrivateMessage(message, env, admin) {
+  console.log(`管理员 ${admin.name} (${message.from.id}) 私聊机器人，消息不转发`)
+  if (message.chat.type !== 'private') return
+
+  await sendMessage(message.chat.id,
+    `👮 你是管理员（${admin.role}），私聊机器人的消息不会转发。\n\n请在管理员聊天中回复用户和使用管理命令。`,
+    env.BOT_TOKEN, { parse_mode: undefined })
+}
+
+// 处理群发预览的确认和取消按钮
+async function handlePostCallback(callbackQuery, action, jobId, env) {
+  if (action === 'cancel') {
+    const job = await cancelBroadcastJob(jobId, env)
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: job ? '🛑 已取消群发' : '⚠️ 任务不存在或已过期' })
+    return
+  }
+
+  const job = await getBroadcastJob(jobId, env)
+  if (!job || job.status !== 'draft') {
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, {
+      text: job ? `ℹ️ 该任务当前状态: ${JOB_STATUS_LABELS[job.status] || job.status}` : '⚠️ 任务不存在或已过期'
+    })
+    return
+  }
+
+  await confirmBroadcastJob(job, env)
+  await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: '🚀 开始群发' })
+  console.log(`群发任务 ${job.id} 已由 ${getAdminName(callbackQuery.from)} 确认`)
+  await runBroadcastJob(job.id, env)
+}
+
+// 构建用户信息文本（用户信息按钮），HTML格式
+async function buildUserDetailText(userChatId, env) {
+  const record = await getUserRecord(userChatId, env)
+  const banRecord = await getBanRecord(userChatId, env)
+  const handler = await getUserHandler(userChatId, env)
+  const lines = [`👤 <b>用户信息</b>`, '', `🆔 ID: <code>${userChatId}</code>`]
+  if (record) {
+    lines.push(`📛 名称: ${escapeHtml(record.userName)}`)
+    lines.push(`📶 状态: ${USER_STATUS_LABELS[record.status || 'active'] || record.status}`)
+    if (record.firstSeen) lines.push(`📅 首次联系: ${formatTime(record.firstSeen, env)}`)
+    lines.push(`⏰ 最后活跃: ${formatTime(record.lastActive, env)}`)
+  } else {
+    lines.push(`ℹ️ 暂无用户记录（需启用用户跟踪）`)
+  }
+  if (banRecord) {
+    lines.push(`🚫 已封禁: ${escapeHtml(banRecord.bannedBy || '未知')}${banRecord.reason ? ` (${escapeHtml(banRecord.reason)})` : ''}`)
+  }
+  if (handler) lines.push(`🙋 最近处理: ${escapeHtml(handler.name)}`)
+
+  return `${lines.join('\n')}${formatUserProfileLines(record)}`
+}
+
+// 处理转发消息下方的操作按钮
+async function handleUserActionCallback(callbackQuery, action, userChatId, env, admin) {
+  const callbackMessage = callbackQuery.message
+  const state = readUserActionState(callbackMessage.reply_markup)
+  const answer = (text, options = {}) => answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text, ...options })
+  const updateButtons = async (newState) => {
+    const replyMarkup = await buildUserActionKeyboard(userChatId, { ...state, ...newState }, env)
+    await editMessageReplyMarkup(env.ADMIN_CHAT_ID, callbackMessage.message_id, replyMarkup, env.BOT_TOKEN)
+  }
+
+  if (action === 'ban' || action === 'unban') {
+    if (admin.role !== 'owner') {
+      await answer('❌ 权限不足：封禁仅限 owner 角色使用')
+      return
+    }
+    if (!env.USER_STORAGE) {
+      await answer('❌ 封禁功能需要绑定KV存储')
+      return
+    }
+
+    if (action === 'ban') {
+      if (userChatId === env.ADMIN_CHAT_ID.toString() || parseAdminUsers(env).has(userChatId)) {
+        await answer('❌ 不能封禁管理员')
+        return
+      }
+      await banUser(userChatId, { bannedBy: getAdminName(callbackQuery.from) }, env)
+      console.log(`用户已封禁: ${userChatId} by ${getAdminName(callbackQuery.from)}`)
+    } else {
+      await unbanUser(userChatId, env)
+    }
+
+    await updateButtons({ banned: action === 'ban' })
+    await answer(action === 'ban' ? `🚫 已封禁用户 ${userChatId}` : `✅ 已解除用户 ${userChatId} 的封禁`)
+    return
+  }
+
+  if (action === 'done' || action === 'undone') {
+    await updateButtons({ resolvedBy: action === 'done' ? admin.name : null })
+    await answer(action === 'done' ? '☑️ 已标记为已处理' : '↩️ 已取消已处理标记')
+    return
+  }
+
+  if (action === 'info') {
+    await sendMessage(env.ADMIN_CHAT_ID, await buildUserDetailText(userChatId, env), env.BOT_TOKEN, {
+      parse_mode: 'HTML',
+      reply_to_message_id: callbackMessage.message_id
+    })
+    await answer()
+    return
+  }
+
+  if (action === 'reply') {
+    // 发送强制回复提示，管理员回复该提示即可发送给用户（映射过期或未绑定KV时依赖用户标识）
+    const tagLine = shouldShowUserTag(env)
+      ? `\n\n\`${await createSecureUserTag(userChatId, env.USER_ID_SECRET)}\``
+      : ''
+    const prompt = await sendMessage(env.ADMIN_CHAT_ID, `💬 回复用户 \`${userChatId}\`，请直接回复此消息${tagLine}`, env.BOT_TOKEN, {
+      reply_to_message_id: callbackMessage.message_id,
+      reply_markup: { force_reply: true }
+    })
+    await saveMessageMapping(prompt.result.message_id, userChatId, null, 'in', env)
+    await answer()
+    return
+  }
+
+  await answer('⚠️ 未知的操作')
+}
+
+// 处理管理员聊天中的按钮回调
+async function handleAdminCallbackQuery(callbackQuery, env, admin) {
+  const data = callbackQuery.data || ''
+  const callbackMessage = callbackQuery.message
+
+  // 转发消息的操作按钮：act:<操作>:<用户ID>:<签名>
+  if (data.startsWith('act:')) {
+    const payload = await verifyCallbackData(data, env.USER_ID_SECRET)
+    const actionMatch = payload && payload.match(/^act:(\w+):(\d+)$/)
+    if (!actionMatch) {
+      console.warn(`按钮回调签名无效: ${data}`)
+      await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: '⚠️ 按钮签名无效' })
+      return
+    }
+
+    await handleUserActionCallback(callbackQuery, actionMatch[1], actionMatch[2], env, admin)
+    return
+  }
+
+  // 群发确认：post:<confirm|cancel>:<任务ID>，仅限 owner
+  const postMatch = data.match(/^post:(confirm|cancel):(\w+)$/)
+  if (postMatch) {
+    if (admin.role !== 'owner') {
+      await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: '❌ 权限不足：群发仅限 owner 角色使用' })
+      return
+    }
+
+    await handlePostCallback(callbackQuery, postMatch[1], postMatch[2], env)
+    return
+  }
+
+  // 用户列表翻页：users:<页码>:<搜索关键词>
+  const usersMatch = data.match(/^users:(\d+):([\s\S]*)$/)
+  if (usersMatch) {
+    const query = usersMatch[2]
+    const result = await queryUsers(env, { page: parseInt(usersMatch[1], 10), query })
+    const { text, reply_markup } = renderUserListPage(result, query, env)
+
+    await editMessageText(env.ADMIN_CHAT_ID, callbackMessage.message_id, text, env.BOT_TOKEN, { reply_markup })
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN)
+    return
+  }
+
+  await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: '⚠️ 未知的操作' })
+}
+
+// 处理按钮回调（callback_query）
+async function handleCallbackQuery(callbackQuery, env) {
+  // 输入验证
+  if (!callbackQuery || !callbackQuery.from || !callbackQuery.message) return
+
+  try {
+    const isAdminChat = callbackQuery.message.chat.id.toString() === env.ADMIN_CHAT_ID.toString()
+    const admin = isAdminChat ? getAdminIdentity(callbackQuery.from, env) : null
+    if (admin) {
+      await handleAdminCallbackQuery(callbackQuery, env, admin)
+      return
+    }
+
+    // 被封禁用户点击旧消息上的按钮：与消息一样丢弃，只应答回调让按钮停止转圈
+    if (!isAdminChat) {
+      const banRecord = await getBanRecord(callbackQuery.message.chat.id, env)
+      if (banRecord) {
+        await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN)
+        await handleBannedUser(callbackQuery.message.chat.id, banRecord, env)
+        return
+      }
+    }
+
+    // 用户私聊中的验证题按钮：verify:<nonce>:<选项>
+    const verifyMatch = (callbackQuery.data || '').match(/^verify:(\w+):(\d+)$/)
+    if (!isAdminChat && verifyMatch && env.USER_STORAGE) {
+      await handleVerifyCallback(callbackQuery, verifyMatch[1], parseInt(verifyMatch[2], 10), env)
+      return
+    }
+
+    // 用户私聊中的常见问题按钮：faq:<规则ID>
+    const faqMatch = (callbackQuery.data || '').match(/^faq:(\d+)$/)
+    if (!isAdminChat && faqMatch) {
+      await handleFaqCallback(callbackQuery, parseInt(faqMatch[1], 10), env)
+      return
+    }
+
+    await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: '⚠️ 无权执行此操作' })
+  } catch (error) {
+    console.error('处理按钮回调错误:', error)
+    try {
+      await answerCallbackQuery(callbackQuery.id, env.BOT_TOKEN, { text: `❌ 操作失败: ${error.description || error.message}` })
+    } catch (answerError) {
+      console.error('应答按钮回调失败:', answerError)
+    }
+  }
+}
+
+// 用户编辑了消息：同步修改管理员侧的转发消息
+async function syncUserEdit(message, env) {
+  const mapping = await getMessageMappingByUser(message.chat.id, message.message_id, env)
+  if (!mapping || mapping.direction !== 'in') return
+
+  if (await getBanRecord(message.chat.id, env)) return
+
+  const userInfo = createUserInfo(message, env)
+  const content = await buildForwardContent(message, userInfo, env, { edited: true })
+  // 编辑文本会移除按钮，需要重新附加；用户编辑了消息说明有新的动态，已处理状态重置
+  const replyMarkup = await buildUserActionKeyboard(userInfo.chatId, {}, env)
+
+  if (message.text) {
+    await editMessageText(env.ADMIN_CHAT_ID, mapping.messageId, content, env.BOT_TOKEN, { parse_mode: 'HTML', reply_markup: replyMarkup })
+  } else {
+    await editMessageCaption(env.ADMIN_CHAT_ID, mapping.messageId, content, env.BOT_TOKEN, { parse_mode: 'HTML', reply_markup: replyMarkup })
+  }
+  console.log(`已同步用户编辑: 用户 ${userInfo.userName} 消息 ${message.message_id}`)
+}
+
+// 管理员编辑了回复：同步修改用户侧的回复消息
+async function syncAdminEdit(message, env) {
+  // 命令（如 /r 模板回复）的文本不是回复内容，不同步
+  if (parseCommand(message.text)) return
+
+  const mapping = await getMessageMappingByAdmin(message.message_id, env)
+  if (!mapping || mapping.direction !== 'out') return
+
+  const { text } = await getUserTexts(mapping.chatId, undefined, env)
+  const content = buildReplyContent(message, text, env)
+
+  if (message.text) {
+    await editMessageText(mapping.chatId, mapping.messageId, content, env.BOT_TOKEN, { parse_mode: 'HTML' })
+  } else {
+    await editMessageCaption(mapping.chatId, mapping.messageId, content, env.BOT_TOKEN, { parse_mode: 'HTML' })
+  }
+  console.log(`已同步管理员编辑: 用户 ${mapping.chatId} 消息 ${mapping.messageId}`)
+}
+
+// 处理编辑过的消息，将修改同步到另一侧对应的消息
+async function handleEditedMessage(message, env) {
+  // 输入验证
+  if (!message || !message.from || !message.chat || !env.USER_STORAGE) return
+
+  const isAdmin = message.chat.id.toString() === env.ADMIN_CHAT_ID.toString()
+
+  try {
+    if (isAdmin) {
+      await syncAdminEdit(message, env)
+    } else {
+      await syncUserEdit(message, env)
+    }
+  } catch (error) {
+    console.error('同步编辑消息失败:', error)
+  }
+}
+
+// 已处理更新的记录保留时间，与Telegram保留未送达更新的时长一致
+const UPDATE_RECEIPT_TTL_SECONDS = 24 * 60 * 60
+
+// 记录更新ID并判断是否已处理过（Telegram在未收到200响应时会重复推送同一更新）
+// 未绑定KV存储或读写失败时按新更新处理
+async function isDuplicateUpdate(updateId, env) {
+  if (!env.USER_STORAGE || updateId === undefined) return false
+
+  try {
+    const key = `update:${updateId}`
+    if (await env.USER_STORAGE.get(key)) return true
+    await env.USER_STORAGE.put(key, '1', { expirationTtl: UPDATE_RECEIPT_TTL_SECONDS })
+    return false
+  } catch (error) {
+    console.error('检查重复更新失败:', error)
+    return false
+  }
+}
+
+// 处理一条更新（Webhook 和长轮询共用的入口），错误只记录并通知管理员，不会抛出
+async function processUpdate(update, env) {
+  try {
+    if (update.message) {
+      await handleMessage(update.message, env)
+    } else if (update.edited_message) {
+      await handleEditedMessage(update.edited_message, env)
+    } else if (update.callback_query) {
+      await handleCallbackQuery(update.callback_query, env)
+    }
+  } catch (error) {
+    console.error(`处理更新 ${update.update_id} 错误:`, error)
+    await sendMessage(env.ADMIN_CHAT_ID, `🚨 Bot错误: ${error.message}`, env.BOT_TOKEN)
+      .catch(err => console.error('发送错误通知失败:', err))
+  }
+}
+
+// 用户私聊中显示的命令菜单，按语言区分
+const USER_BOT_COMMANDS = {
+  zh: [
+    { command: 'start', description: '开始使用' },
+    { command: 'faq', description: '常见问题' },
+    { command: 'lang', description: '切换语言' }
+  ],
+  en: [
+    { command: 'start', description: 'Start' },
+    { command: 'faq', description: 'FAQ' },
+    { command: 'lang', description: 'Change language' }
+  ]
+}
+
+// 管理员聊天中显示的命令菜单
+const ADMIN_BOT_COMMANDS = [
+  { command: 'start', description: '管理员面板' },
+  { command: 'status', description: '查看机器人状态' },
+  { command: 'help', description: '帮助信息' },
+  { command: 'post', description: '群发消息' },
+  { command: 'jobs', description: '查看群发任务' },
+  { command: 'schedules', description: '查看定时群发' },
+  { command: 'users', description: '查看用户列表' },
+  { command: 'history', description: '查看对话记录' },
+  { command: 'templates', description: '查看回复模板' },
+  { command: 'autoreply', description: '管理自动回复' },
+  { command: 'settext', description: '自定义用户文本' },
+  { command: 'away', description: '进入离开状态' },
+  { command: 'back', description: '退出离开状态' },
+  { command: 'banned', description: '查看封禁名单' }
+]
+
+// 为用户私聊和管理员聊天分别注册命令菜单
+// 用户菜单按语言分别注册，Telegram按用户的语言设置显示，其他语言的用户看到默认语言的菜单
+async function registerBotCommands(env) {
+  const userScope = { type: 'all_private_chats' }
+  const userResult = await setMyCommands(USER_BOT_COMMANDS[getDefaultLanguage(env)], userScope, env.BOT_TOKEN)
+  const localizedResults = await Promise.all(Object.entries(USER_BOT_COMMANDS).map(([language, commands]) =>
+    setMyCommands(commands, userScope, env.BOT_TOKEN, { language_code: language })))
+  const adminResult = await setMyCommands(ADMIN_BOT_COMMANDS, { type: 'chat', chat_id: env.ADMIN_CHAT_ID }, env.BOT_TOKEN)
+  return { ok: userResult.ok && adminResult.ok && localizedResults.every(result => result.ok), user: userResult, admin: adminResult }
+}
+
+// 处理定时任务（Cron Trigger）：触发到期的定时群发，继续执行未完成的群发任务
+async function handleScheduled(event, env) {
+  try {
+    // 迁移失败不影响定时群发，下一分钟重试
+    if (env.USER_STORAGE) {
+      await migrateLegacyUserList(env).catch(error => console.error('迁移旧版用户列表失败:', error))
+    }
+    await processDueBroadcastSchedules(env)
+    await processPendingBroadcastJobs(env)
+  } catch (error) {
+    console.error('定时任务处理错误:', error)
+  }
+}
+
+// 运行时入口：Webhook（worker.js）和长轮询（node/polling.js）共用
+export { processUpdate, isDuplicateUpdate, handleScheduled, registerBotCommands }
+
+// 供 worker.js 的 /api/* 和管理接口使用
+export {
+  TelegramAPIError,
+  sendMessage,
+  setWebhook,
+  getMe,
+  getWebhookInfo,
+  deleteWebhook,
+  getUnreachableReason,
+  logConversation,
+  getUsersFromKV,
+  queryUsers,
+  isUserActive,
+  markUserInactive,
+  getBanRecord,
+  listBannedUsers,
+  incrementLocalWindowCounter,
+  parseTargetList,
+  validatePostTargets,
+  resolvePostTargets,
+  broadcastMessage,
+  formatBroadcastReport,
+  createBroadcastJob,
+  saveBroadcastJob,
+  listBroadcastJobs,
+  runBroadcastJob,
+  cancelBroadcastJob,
+  formatJobProgress,
+  JOB_STATUS_LABELS,
+  listBroadcastSchedules,
+  isWithinBusinessHours,
+  getAwayStatus
+}
+
+// 解析和计算的纯函数，供测试直接调用
+export { parseScheduleSpec, getNextScheduleRun, entitiesToHtml }
@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, sentMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 用户发送一条消息并由管理员回复，返回 { original, forwarded, reply, delivered }
+async function startConversation(userId, env) {
+  const original = userMessage(userId, { text: '订单号 123' })
+  await processUpdate(toUpdate(original), env)
+  const forwarded = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1)
+
+  const reply = adminMessage({ text: '已经发货', reply_to_message: sentMessage(forwarded) })
+  await processUpdate(toUpdate(reply), env)
+  const delivered = telegram.callsTo('sendMessage', userId).find(call => /已经发货/.test(call.params.text))
+  return { original, forwarded, reply, delivered }
+}
+
+test('编辑同步：用户编辑消息后修改管理员侧的转发消息', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const { original, forwarded } = await startConversation(1001, env)
+
+  await processUpdate(toUpdate({ ...original, text: '订单号 456', edit_date: original.date + 10 }, 'edited_message'), env)
+
+  const edit = telegram.callsTo('editMessageText', ADMIN_CHAT_ID)[0]
+  assert.equal(edit.params.message_id, forwarded.result.message_id)
+  assert.match(edit.params.text, /订单号 456/)
+  assert.equal(edit.params.parse_mode, 'HTML')
+})
+
+test('编辑同步：管理员编辑回复后修改用户收到的消息', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const { reply, delivered } = await startConversation(1002, env)
+
+  await processUpdate(toUpdate({ ...reply, text: '明天发货', edit_date: reply.date + 10 }, 'edited_message'), env)
+
+  const edit = telegram.callsTo('editMessageText', 1002)[0]
+  assert.equal(edit.params.message_id, delivered.result.message_id)
+  assert.match(edit.params.text, /明天发货/)
+})
+
+test('编辑同步：/delete 删除用户侧的回复，只能用于管理员回复', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const { forwarded, reply, delivered } = await startConversation(1003, env)
+
+  await processUpdate(toUpdate(adminMessage({ text: '/delete', reply_to_message: sentMessage(forwarded) })), env)
+  assert.equal(telegram.callsTo('deleteMessage').length, 0)
+
+  await processUpdate(toUpdate(adminMessage({ text: '/delete', reply_to_message: { ...reply, reply_to_message: undefined } })), env)
+  const deleted = telegram.callsTo('deleteMessage')
+  assert.equal(deleted.length, 1)
+  assert.equal(String(deleted[0].params.chat_id), '1003')
+  assert.equal(deleted[0].params.message_id, delivered.result.message_id)
+  assert.equal(await env.USER_STORAGE.get(`msg:admin:${reply.message_id}`), null)
+})
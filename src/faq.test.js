@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, userCallback, toUpdate } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 带一条关键词规则的环境
+async function createFaqEnv(overrides) {
+  const env = createEnv(overrides)
+  await env.USER_STORAGE.put('autoreply_rules', JSON.stringify({
+    nextId: 2,
+    rules: [{ id: 1, type: 'keyword', keywords: ['营业时间'], response: '每天 9:00-18:00' }]
+  }))
+  return env
+}
+
+test('常见问题：/faq 列出按钮，点击后发送对应的回复', async () => {
+  telegram.reset()
+  const env = await createFaqEnv()
+
+  await processUpdate(toUpdate(userMessage(601, { text: '/faq' })), env)
+  const menu = telegram.callsTo('sendMessage', 601).at(-1)
+  assert.equal(menu.params.reply_markup.inline_keyboard[0][0].callback_data, 'faq:1')
+
+  await processUpdate(toUpdate(userCallback(601, 'faq:1'), 'callback_query'), env)
+  assert.equal(telegram.callsTo('sendMessage', 601).at(-1).params.text, '每天 9:00-18:00')
+  assert.equal(telegram.callsTo('answerCallbackQuery').length, 1)
+})
+
+test('常见问题：被封禁的用户点击按钮不会收到回复', async () => {
+  telegram.reset()
+  const env = await createFaqEnv({ BAN_NOTICE: '你已被封禁' })
+  await env.USER_STORAGE.put('ban:602', JSON.stringify({ chatId: '602', reason: '广告', bannedAt: new Date().toISOString() }))
+
+  await processUpdate(toUpdate(userCallback(602, 'faq:1'), 'callback_query'), env)
+  await processUpdate(toUpdate(userCallback(602, 'faq:1'), 'callback_query'), env)
+
+  const sent = telegram.callsTo('sendMessage', 602).map(call => call.params.text)
+  assert.deepEqual(sent, ['你已被封禁'])
+  assert.equal(telegram.callsTo('answerCallbackQuery').length, 2)
+})
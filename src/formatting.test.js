@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, entitiesToHtml } from './core.js'
+import { mockTelegram, telegramError, createEnv, userMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+test('消息格式：实体转换为HTML，其余内容转义', () => {
+  assert.equal(entitiesToHtml('a < b & "c"'), 'a &lt; b &amp; &quot;c&quot;')
+  assert.equal(
+    entitiesToHtml('粗体斜体 链接', [
+      { type: 'bold', offset: 0, length: 4 },
+      { type: 'italic', offset: 2, length: 2 },
+      { type: 'text_link', offset: 5, length: 2, url: 'https://example.com/?a=1&b=2' }
+    ]),
+    '<b>粗体<i>斜体</i></b> <a href="https://example.com/?a=1&amp;b=2">链接</a>'
+  )
+  // 偏移量按UTF-16计算，表情符号占两个单位
+  assert.equal(entitiesToHtml('😀 <代码>', [{ type: 'code', offset: 3, length: 4 }]), '😀 <code>&lt;代码&gt;</code>')
+  // 不支持的实体按纯文本处理
+  assert.equal(entitiesToHtml('@someone', [{ type: 'mention', offset: 0, length: 8 }]), '@someone')
+})
+
+test('消息格式：用户名和消息中的特殊字符不会导致转发失败', async () => {
+  telegram.reset()
+  const env = createEnv()
+
+  await processUpdate(toUpdate(userMessage(2101, {
+    from: { id: 2101, first_name: 'John', username: 'john_doe', language_code: 'en' },
+    text: '价格是 *5 <元> & 运费'
+  })), env)
+
+  const forwarded = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)
+  assert.equal(forwarded.length, 1)
+  assert.equal(forwarded[0].params.parse_mode, 'HTML')
+  assert.match(forwarded[0].params.text, /john_doe/)
+  assert.match(forwarded[0].params.text, /价格是 \*5 &lt;元&gt; &amp; 运费/)
+  assert.ok(!telegram.callsTo('sendMessage', 2101).some(call => /失败/.test(call.params.text)))
+})
+
+test('消息格式：Telegram无法解析格式时以纯文本重发', async () => {
+  telegram.reset()
+  const env = createEnv()
+  telegram.respond('sendMessage', params => params.chat_id === ADMIN_CHAT_ID && params.parse_mode
+    ? telegramError(400, "Bad Request: can't parse entities: unsupported start tag")
+    : null)
+
+  await processUpdate(toUpdate(userMessage(2102, { text: 'a <b> & c', entities: [{ type: 'bold', offset: 0, length: 1 }] })), env)
+  telegram.respond('sendMessage', null)
+
+  const attempts = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)
+  assert.equal(attempts.length, 2)
+  assert.equal(attempts[1].params.parse_mode, undefined)
+  assert.match(attempts[1].params.text, /\na <b> & c\n/)
+  assert.doesNotMatch(attempts[1].params.text, /&lt;|&amp;|<\/b>/)
+})
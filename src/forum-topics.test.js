@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, telegramError, createEnv, userMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+test('论坛话题模式：同一用户的并发消息只创建一个话题', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_FORUM_MODE: 'true' })
+
+  await Promise.all([1, 2, 3, 4].map(n => processUpdate(toUpdate(userMessage(101, { text: `消息${n}` })), env)))
+
+  const created = telegram.callsTo('createForumTopic')
+  assert.equal(created.length, 1)
+  const forwarded = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)
+  assert.equal(forwarded.length, 4)
+  const threadIds = new Set(forwarded.map(call => call.params.message_thread_id))
+  assert.equal(threadIds.size, 1)
+  assert.equal(await env.USER_STORAGE.get(`topic:thread:${[...threadIds][0]}`), '101')
+  assert.equal(await env.USER_STORAGE.get('topic:claim:101'), null)
+})
+
+test('论坛话题模式：其他实例已认领时等待其创建的话题', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_FORUM_MODE: 'true' })
+  await env.USER_STORAGE.put('topic:claim:102', 'other-instance', { expirationTtl: 60 })
+  setTimeout(() => {
+    env.USER_STORAGE.put('topic:user:102', '555')
+    env.USER_STORAGE.put('topic:thread:555', '102')
+  }, 700)
+
+  await processUpdate(toUpdate(userMessage(102, { text: '你好' })), env)
+
+  assert.equal(telegram.callsTo('createForumTopic').length, 0)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0].params.message_thread_id, 555)
+})
+
+test('论坛话题模式：话题被删除后重新创建，其他错误不重建话题', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_FORUM_MODE: 'true' })
+  await env.USER_STORAGE.put('topic:user:103', '777')
+  await env.USER_STORAGE.put('topic:thread:777', '103')
+
+  telegram.respond('sendMessage', params => params.message_thread_id === 777 ? telegramError(400, 'Bad Request: message thread not found') : null)
+  await processUpdate(toUpdate(userMessage(103, { text: '还在吗' })), env)
+
+  assert.equal(telegram.callsTo('createForumTopic').length, 1)
+  assert.equal(await env.USER_STORAGE.get('topic:thread:777'), null)
+  const newThreadId = await env.USER_STORAGE.get('topic:user:103')
+  assert.notEqual(newThreadId, '777')
+
+  telegram.reset()
+  telegram.respond('sendMessage', params => params.chat_id === ADMIN_CHAT_ID ? telegramError(400, 'Bad Request: not enough rights') : null)
+  await processUpdate(toUpdate(userMessage(103, { text: '再试一次' })), env)
+  assert.equal(telegram.callsTo('createForumTopic').length, 0)
+  assert.equal(await env.USER_STORAGE.get('topic:user:103'), newThreadId)
+  telegram.respond('sendMessage', null)
+})
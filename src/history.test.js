@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, sentMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 对话记录按毫秒时间戳排序，相邻消息之间稍作间隔
+const tick = () => new Promise(resolve => setTimeout(resolve, 5))
+
+// 用户发送两条消息，管理员回复一条
+async function converse(userId, env) {
+  await processUpdate(toUpdate(userMessage(userId, { text: '你好, "在吗"' })), env)
+  await tick()
+  const forwarded = sentMessage(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1))
+  await processUpdate(toUpdate(userMessage(userId, { photo: [{ file_id: 'p1', file_unique_id: 'u1', width: 90, height: 90 }], caption: '截图' })), env)
+  await tick()
+  await processUpdate(toUpdate(adminMessage({ text: '收到', reply_to_message: forwarded })), env)
+}
+
+test('对话记录：/history 按时间顺序显示用户消息和管理员回复', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_HISTORY: 'true' })
+  await converse(1801, env)
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: '/history 1801' })), env)
+  const text = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0].params.text
+  assert.match(text, /最近 3 条/)
+  const order = ['⬅️ 用户: 你好', '截图', '➡️ Admin1: 收到'].map(part => text.indexOf(part))
+  assert.ok(order.every(index => index > 0))
+  assert.deepEqual([...order].sort((a, b) => a - b), order)
+})
+
+test('对话记录：/export 以 JSON 和 CSV 文件导出', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_HISTORY: 'true' })
+  await converse(1802, env)
+
+  await processUpdate(toUpdate(adminMessage({ text: '/export 1802 json' })), env)
+  const jsonCall = telegram.callsTo('sendDocument').at(-1)
+  const exported = JSON.parse(await jsonCall.params.document.text())
+  assert.equal(exported.chatId, '1802')
+  assert.deepEqual(exported.messages.map(m => [m.direction, m.type, m.text]), [
+    ['in', 'text', '你好, "在吗"'],
+    ['in', 'photo', '截图'],
+    ['out', 'text', '收到']
+  ])
+
+  await processUpdate(toUpdate(adminMessage({ text: '/export 1802 csv' })), env)
+  const csvCall = telegram.callsTo('sendDocument').at(-1)
+  assert.equal(csvCall.params.document.name, 'history-1802.csv')
+  const lines = (await csvCall.params.document.text()).replace(/^﻿/, '').split('\r\n')
+  assert.equal(lines[0], 'time,direction,type,by,text')
+  assert.ok(lines[1].endsWith(',in,text,,"你好, ""在吗"""'))
+})
+
+test('对话记录：未开启时不记录', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await converse(1803, env)
+
+  assert.equal((await env.USER_STORAGE.list({ prefix: 'hist:' })).keys.length, 0)
+  await processUpdate(toUpdate(adminMessage({ text: '/history 1803' })), env)
+  assert.match(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1).params.text, /暂无对话记录/)
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, createBroadcastJob, runBroadcastJob, parseTargetList } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, toUpdate } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 指定语言的用户发送消息，返回用户收到的最后一条消息
+async function sendAs(userId, languageCode, text, env) {
+  const message = userMessage(userId, { text })
+  message.from = { ...message.from, language_code: languageCode }
+  await processUpdate(toUpdate(message), env)
+  return telegram.callsTo('sendMessage', userId).at(-1)?.params.text
+}
+
+test('多语言：按 language_code 选择语言，不支持的语言使用默认语言', async () => {
+  telegram.reset()
+  const env = createEnv({ DEFAULT_LANGUAGE: 'en' })
+
+  assert.match(await sendAs(2401, 'zh-hans', '/start', env), /你好！我是消息转发机器人/)
+  assert.match(await sendAs(2402, 'en-US', '/start', env), /Hello! I am a message forwarding bot/)
+  assert.match(await sendAs(2403, 'fr', '/start', env), /Hello!/)
+  assert.match(await sendAs(2402, 'en', 'hi', env), /Your message has been sent to the admin/)
+})
+
+test('多语言：/lang 切换语言，/lang auto 恢复跟随Telegram设置', async () => {
+  telegram.reset()
+  const env = createEnv()
+
+  assert.equal(await sendAs(2411, 'zh-hans', '/lang en', env), '✅ Language set to English')
+  assert.match(await sendAs(2411, 'zh-hans', '/start', env), /Hello!/)
+
+  await sendAs(2411, 'zh-hans', '/lang auto', env)
+  assert.equal(await env.USER_STORAGE.get('lang:2411'), null)
+  assert.match(await sendAs(2411, 'zh-hans', '/start', env), /你好！/)
+})
+
+test('多语言：/settext 覆盖某种语言或所有语言的文本，- 恢复默认', async () => {
+  telegram.reset()
+  const env = createEnv()
+
+  await processUpdate(toUpdate(adminMessage({ text: '/settext welcome:en Welcome to our shop!' })), env)
+  assert.equal(await sendAs(2421, 'en', '/start', env), 'Welcome to our shop!')
+  assert.match(await sendAs(2422, 'zh-hans', '/start', env), /你好！/)
+
+  await processUpdate(toUpdate(adminMessage({ text: '/settext welcome 欢迎光临' })), env)
+  assert.equal(await sendAs(2422, 'zh-hans', '/start', env), '欢迎光临')
+  assert.equal(await sendAs(2421, 'en', '/start', env), 'Welcome to our shop!')
+
+  await processUpdate(toUpdate(adminMessage({ text: '/settext welcome:en -' })), env)
+  assert.equal(await sendAs(2421, 'en', '/start', env), '欢迎光临')
+})
+
+test('多语言：群发标题使用每个接收者的语言', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await sendAs(2431, 'en', 'hi', env)
+  await sendAs(2432, 'zh-hans', '你好', env)
+
+  const job = await createBroadcastJob({ targets: parseTargetList('2431,2432'), message: 'news' }, env)
+  await runBroadcastJob(job.id, env)
+
+  assert.match(telegram.callsTo('sendMessage', 2431).at(-1).params.text, /^📢 \*Announcement:\*/)
+  assert.match(telegram.callsTo('sendMessage', 2432).at(-1).params.text, /^📢 \*管理员广播:\*/)
+})
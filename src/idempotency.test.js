@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, isDuplicateUpdate, listBroadcastJobs } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, sentMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+test('幂等处理：更新ID只记录一次', async () => {
+  const env = createEnv()
+  assert.equal(await isDuplicateUpdate(42, env), false)
+  assert.equal(await isDuplicateUpdate(42, env), true)
+  assert.equal(await isDuplicateUpdate(43, env), false)
+
+  // 未绑定KV时按新更新处理
+  assert.equal(await isDuplicateUpdate(42, createEnv({ USER_STORAGE: undefined })), false)
+})
+
+test('幂等处理：同一条 /post 消息再次送达时不重复创建群发任务', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await processUpdate(toUpdate(userMessage(2311, { text: '你好' })), env)
+
+  const command = adminMessage({ text: '/post all 通知' })
+  await processUpdate(toUpdate(command), env)
+  await processUpdate(toUpdate(command), env)
+
+  assert.equal((await listBroadcastJobs(env)).length, 1)
+})
+
+test('幂等处理：同一条模板回复再次送达时用户只收到一次', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await processUpdate(toUpdate(userMessage(2312, { text: '你好' })), env)
+  const forwarded = sentMessage(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1))
+  await processUpdate(toUpdate(adminMessage({ text: '/save thanks', reply_to_message: { ...forwarded, text: '感谢您的耐心等待' } })), env)
+
+  const command = adminMessage({ text: '/r thanks', reply_to_message: forwarded })
+  await processUpdate(toUpdate(command), env)
+  await processUpdate(toUpdate(command), env)
+
+  assert.equal(telegram.callsTo('sendMessage', 2312).filter(call => /感谢您的耐心等待/.test(call.params.text)).length, 1)
+})
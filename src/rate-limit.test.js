@@ -0,0 +1,77 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 统计写入限流计数键的次数
+function countCounterWrites(storage) {
+  const writes = []
+  const put = storage.put.bind(storage)
+  storage.put = async (key, value, options) => {
+    if (/^rate:\d+:\d+$/.test(key)) writes.push(key)
+    return await put(key, value, options)
+  }
+  return writes
+}
+
+async function flood(userId, count, env) {
+  for (let i = 0; i < count; i++) {
+    await processUpdate(toUpdate(userMessage(userId, { text: `刷屏 ${i}` })), env)
+  }
+}
+
+test('限流：超限后只警告一次，之后的消息直接丢弃', async () => {
+  telegram.reset()
+  const env = createEnv({ RATE_LIMIT_MAX: '3', RATE_LIMIT_WINDOW: '3600' })
+  const writes = countCounterWrites(env.USER_STORAGE)
+
+  await flood(201, 8, env)
+
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 3)
+  const warnings = telegram.callsTo('sendMessage', 201).filter(call => /频繁/.test(call.params.text))
+  assert.equal(warnings.length, 1)
+  // 同一个计数键每秒最多写入一次，连续到达的消息不会逐条写入KV
+  assert.ok(writes.length < 8, `计数键写入了 ${writes.length} 次`)
+})
+
+test('限流：计数器写入失败时丢弃消息，刷屏消息不会全部转发', async () => {
+  telegram.reset()
+  const env = createEnv({ RATE_LIMIT_MAX: '5', RATE_LIMIT_WINDOW: '3600' })
+  env.USER_STORAGE.failPut = key => key.startsWith('rate:')
+
+  await flood(202, 30, env)
+
+  const forwarded = telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length
+  assert.ok(forwarded <= 5, `转发了 ${forwarded} 条消息`)
+})
+
+test('限流：计数器恢复后累加的计数不会清零', async () => {
+  telegram.reset()
+  const env = createEnv({ RATE_LIMIT_MAX: '4', RATE_LIMIT_WINDOW: '3600' })
+  env.USER_STORAGE.failPut = key => key.startsWith('rate:')
+  await flood(203, 3, env)
+  env.USER_STORAGE.failPut = null
+
+  await new Promise(resolve => setTimeout(resolve, 1100))
+  await flood(203, 3, env)
+
+  // 失败的那条消息被丢弃，其余消息计入同一窗口，窗口内总共不超过4条
+  assert.ok(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length <= 4)
+  const list = await env.USER_STORAGE.list({ prefix: 'rate:203:' })
+  const stored = await env.USER_STORAGE.get(list.keys[0].name, 'json')
+  assert.ok(stored.count >= 4, `KV中的计数为 ${stored.count}`)
+})
+
+test('限流：超限次数达到 RATE_LIMIT_AUTO_BAN 后自动封禁', async () => {
+  telegram.reset()
+  const env = createEnv({ RATE_LIMIT_MAX: '2', RATE_LIMIT_WINDOW: '3600', RATE_LIMIT_AUTO_BAN: '2' })
+  await env.USER_STORAGE.put('rate:strikes:204', '1', { expirationTtl: 86400 })
+
+  await flood(204, 3, env)
+
+  assert.ok(await env.USER_STORAGE.get('ban:204'))
+  assert.ok(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).some(call => /自动封禁/.test(call.params.text)))
+})
@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, sentMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 用户收到的管理员回复（不含发送确认等提示）
+function repliesTo(userId) {
+  return telegram.callsTo('sendMessage', userId).filter(call => /管理员回复/.test(call.params.text))
+}
+
+test('回复路由：不显示用户标签时通过消息映射把回复发给用户', async () => {
+  telegram.reset()
+  const env = createEnv({ SHOW_USER_TAG: 'false' })
+
+  const original = userMessage(901, { text: '请问怎么退款' })
+  await processUpdate(toUpdate(original), env)
+  const forwardedCall = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0]
+  assert.doesNotMatch(forwardedCall.params.text, /\[USER:/)
+
+  const mapping = await env.USER_STORAGE.get(`msg:admin:${forwardedCall.result.message_id}`, 'json')
+  assert.deepEqual(mapping, { chatId: '901', messageId: original.message_id, direction: 'in' })
+
+  await processUpdate(toUpdate(adminMessage({ text: '在订单页申请即可', reply_to_message: sentMessage(forwardedCall) })), env)
+  const replies = repliesTo(901)
+  assert.equal(replies.length, 1)
+  assert.match(replies[0].params.text, /在订单页申请即可/)
+})
+
+test('回复路由：未绑定KV时通过签名标签路由，伪造的标签被忽略', async () => {
+  telegram.reset()
+  const env = createEnv({ USER_STORAGE: undefined, ENABLE_USER_TRACKING: 'false' })
+
+  await processUpdate(toUpdate(userMessage(902, { text: '你好' })), env)
+  const forwardedCall = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0]
+  assert.match(forwardedCall.params.text, /\[USER:902:\w+\]/)
+
+  await processUpdate(toUpdate(adminMessage({ text: '你好，有什么可以帮你', reply_to_message: sentMessage(forwardedCall) })), env)
+  assert.equal(repliesTo(902).length, 1)
+
+  const forged = { ...sentMessage(forwardedCall), text: forwardedCall.params.text.replace('USER:902:', 'USER:903:') }
+  await processUpdate(toUpdate(adminMessage({ text: '发给别人', reply_to_message: forged })), env)
+  assert.equal(repliesTo(903).length, 0)
+  assert.equal(repliesTo(902).length, 1)
+})
@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parseScheduleSpec, getNextScheduleRun, processUpdate } from './core.js'
+import { mockTelegram, createEnv, adminMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+test('定时规则：解析一次性、每天和每周规则', () => {
+  assert.deepEqual(parseScheduleSpec('2026-03-01T09:30'), { type: 'once', date: { year: 2026, month: 3, day: 1 }, hour: 9, minute: 30 })
+  assert.deepEqual(parseScheduleSpec('21:05'), { type: 'once', hour: 21, minute: 5 })
+  assert.deepEqual(parseScheduleSpec('daily@08:00'), { type: 'daily', hour: 8, minute: 0 })
+  assert.deepEqual(parseScheduleSpec('weekly@Mon@18:00'), { type: 'weekly', weekday: 1, hour: 18, minute: 0 })
+  assert.equal(parseScheduleSpec('24:00'), null)
+  assert.equal(parseScheduleSpec('weekly@xyz@10:00'), null)
+})
+
+test('定时规则：拒绝不存在的日期', () => {
+  // 2028 是闰年
+  assert.ok(parseScheduleSpec('2028-02-29T09:00'))
+  assert.equal(parseScheduleSpec('2026-02-29T09:00'), null)
+  assert.equal(parseScheduleSpec('2028-02-30T09:00'), null)
+  assert.equal(parseScheduleSpec('2026-02-31T09:00'), null)
+
+  for (const month of ['04', '06', '09', '11']) {
+    assert.ok(parseScheduleSpec(`2026-${month}-30T09:00`), `${month}-30`)
+    assert.equal(parseScheduleSpec(`2026-${month}-31T09:00`), null, `${month}-31`)
+  }
+  assert.ok(parseScheduleSpec('2026-12-31T09:00'))
+  assert.equal(parseScheduleSpec('2026-13-01T09:00'), null)
+  assert.equal(parseScheduleSpec('2026-01-00T09:00'), null)
+})
+
+test('定时规则：按时区计算下一次执行时间', () => {
+  const after = Date.UTC(2026, 0, 5, 0, 0) // 2026-01-05 周一 08:00 (UTC+8)
+  const timeZone = 'Asia/Shanghai'
+
+  assert.equal(getNextScheduleRun(parseScheduleSpec('daily@09:00'), after, timeZone), Date.UTC(2026, 0, 5, 1, 0))
+  assert.equal(getNextScheduleRun(parseScheduleSpec('daily@07:00'), after, timeZone), Date.UTC(2026, 0, 5, 23, 0))
+  assert.equal(getNextScheduleRun(parseScheduleSpec('weekly@wed@10:00'), after, timeZone), Date.UTC(2026, 0, 7, 2, 0))
+  assert.equal(getNextScheduleRun(parseScheduleSpec('2026-01-04T10:00'), after, timeZone), null)
+})
+
+test('定时规则：/schedule 拒绝不存在的日期', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await processUpdate(toUpdate(adminMessage({ text: '/schedule 2026-02-31T09:00 all 通知' })), env)
+
+  const reply = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0]
+  assert.match(reply.params.text, /❌/)
+  assert.equal((await env.USER_STORAGE.list({ prefix: 'schedule:' })).keys.length, 0)
+})
@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, resolvePostTargets, parseTargetList } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+async function createUsers(env, ids) {
+  for (const id of ids) await processUpdate(toUpdate(userMessage(id, { text: '你好' })), env)
+}
+
+// 群发目标解析出的用户ID
+async function targetIds(targets, env) {
+  const { userIds } = await resolvePostTargets(parseTargetList(targets), env)
+  return userIds.map(String).sort()
+}
+
+test('标签：/tag、/untag 和 /note 修改用户记录，转发消息的标题显示标签和备注', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await createUsers(env, [1501])
+
+  await processUpdate(toUpdate(adminMessage({ text: '/tag 1501 VIP,老客户' })), env)
+  await processUpdate(toUpdate(adminMessage({ text: '/note 1501 喜欢蓝色款' })), env)
+  let record = await env.USER_STORAGE.get('user:1501', 'json')
+  assert.deepEqual(record.tags.sort(), ['vip', '老客户'].sort())
+  assert.equal(record.note, '喜欢蓝色款')
+
+  telegram.reset()
+  await processUpdate(toUpdate(userMessage(1501, { text: '有新款吗' })), env)
+  const header = telegram.callsTo('sendMessage', ADMIN_CHAT_ID)[0].params.text
+  assert.match(header, /#vip/)
+  assert.match(header, /喜欢蓝色款/)
+
+  await processUpdate(toUpdate(adminMessage({ text: '/untag 1501 老客户' })), env)
+  await processUpdate(toUpdate(adminMessage({ text: '/note 1501 -' })), env)
+  record = await env.USER_STORAGE.get('user:1501', 'json')
+  assert.deepEqual(record.tags, ['vip'])
+  assert.ok(!record.note)
+})
+
+test('标签：无效的标签和未跟踪的用户被拒绝', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await createUsers(env, [1502])
+
+  await processUpdate(toUpdate(adminMessage({ text: '/tag 1502 a/b' })), env)
+  assert.match(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1).params.text, /无效的标签/)
+
+  await processUpdate(toUpdate(adminMessage({ text: '/tag 1599 vip' })), env)
+  assert.match(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).at(-1).params.text, /未找到用户/)
+})
+
+test('标签：群发目标按标签和活跃时间筛选，可排除分组', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await createUsers(env, [1511, 1512, 1513])
+  await processUpdate(toUpdate(adminMessage({ text: '/tag 1511 vip' })), env)
+  await processUpdate(toUpdate(adminMessage({ text: '/tag 1512 vip test' })), env)
+
+  // 1513 超过30天未活跃（用户列表读取的是元数据，记录和元数据一起修改）
+  const { keys } = await env.USER_STORAGE.list({ prefix: 'user:1513' })
+  const lastActive = new Date(Date.now() - 40 * 86400000).toISOString()
+  const stale = await env.USER_STORAGE.get('user:1513', 'json')
+  await env.USER_STORAGE.put('user:1513', JSON.stringify({ ...stale, lastActive }), { metadata: { ...keys[0].metadata, lastActive } })
+
+  assert.deepEqual(await targetIds('tag:vip', env), ['1511', '1512'])
+  assert.deepEqual(await targetIds('tag:vip,-tag:test', env), ['1511'])
+  assert.deepEqual(await targetIds('active:7d', env), ['1511', '1512'])
+  assert.deepEqual(await targetIds('inactive:30d', env), ['1513'])
+  assert.deepEqual(await targetIds('all,-1512', env), ['1511', '1513'])
+})
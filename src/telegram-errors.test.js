@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, sendMessage, TelegramAPIError, createBroadcastJob, runBroadcastJob, parseTargetList } from './core.js'
+import { mockTelegram, telegramError, createEnv, userMessage, toUpdate } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 前 failures 次调用返回指定错误，之后成功
+function failTimes(method, failures, error) {
+  let count = 0
+  telegram.respond(method, () => count++ < failures ? error : null)
+}
+
+test('Telegram错误：429 按 retry_after 等待后重试', async () => {
+  telegram.reset()
+  failTimes('sendMessage', 1, telegramError(429, 'Too Many Requests: retry after 1', { retry_after: 1 }))
+
+  const startedAt = Date.now()
+  const result = await sendMessage(1401, '你好', 'test-token')
+  telegram.respond('sendMessage', null)
+
+  assert.equal(result.ok, true)
+  assert.equal(telegram.callsTo('sendMessage').length, 2)
+  assert.ok(Date.now() - startedAt >= 1000)
+})
+
+test('Telegram错误：5xx 重试，4xx 直接抛出结构化的错误', async () => {
+  telegram.reset()
+  failTimes('sendMessage', 1, telegramError(502, 'Bad Gateway'))
+  await sendMessage(1402, '你好', 'test-token')
+  assert.equal(telegram.callsTo('sendMessage').length, 2)
+
+  telegram.reset()
+  telegram.respond('sendMessage', () => telegramError(400, 'Bad Request: chat not found'))
+  await assert.rejects(sendMessage(1402, '你好', 'test-token', { parse_mode: undefined }), error => {
+    assert.ok(error instanceof TelegramAPIError)
+    assert.equal(error.errorCode, 400)
+    assert.equal(error.description, 'Bad Request: chat not found')
+    return true
+  })
+  telegram.respond('sendMessage', null)
+  assert.equal(telegram.callsTo('sendMessage').length, 1)
+})
+
+test('Telegram错误：屏蔽机器人的用户在群发后标记为停用，之后的群发跳过', async () => {
+  telegram.reset()
+  const env = createEnv()
+  await processUpdate(toUpdate(userMessage(1403, { text: '你好' })), env)
+  await processUpdate(toUpdate(userMessage(1404, { text: '你好' })), env)
+
+  telegram.respond('sendMessage', params => String(params.chat_id) === '1403' ? telegramError(403, 'Forbidden: bot was blocked by the user') : null)
+  const job = await createBroadcastJob({ targets: parseTargetList('all'), message: '通知' }, env)
+  const finished = await runBroadcastJob(job.id, env)
+  telegram.respond('sendMessage', null)
+
+  assert.equal(finished.success, 1)
+  assert.equal(finished.failed, 1)
+  assert.equal((await env.USER_STORAGE.get('user:1403', 'json')).status, 'blocked')
+
+  const next = await createBroadcastJob({ targets: parseTargetList('all'), message: '再次通知' }, env)
+  assert.deepEqual(next.recipients.map(r => r.chatId), ['1404'])
+  assert.equal(next.skipped, 1)
+})
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, adminMessage, toUpdate } from './testing.js'
+
+const telegram = mockTelegram()
+
+async function saveTemplate(env, name, source) {
+  const saved = adminMessage(source)
+  await processUpdate(toUpdate(adminMessage({ text: `/save ${name}`, reply_to_message: saved })), env)
+}
+
+test('回复模板：保存文本模板的格式，使用时替换占位符并保留格式', async () => {
+  const env = createEnv()
+  await processUpdate(toUpdate(userMessage(701, { text: '你好' })), env)
+
+  const text = '{name} 您好，请查看 文档 或输入 code'
+  await saveTemplate(env, 'hello', {
+    text,
+    entities: [
+      { type: 'bold', offset: 0, length: 9 },
+      { type: 'text_link', offset: 14, length: 2, url: 'https://example.com/docs' },
+      { type: 'code', offset: 21, length: 4 }
+    ]
+  })
+  const template = await env.USER_STORAGE.get('tpl:hello', 'json')
+  assert.equal(template.entities.length, 3)
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: '/r 701 hello' })), env)
+
+  const reply = telegram.callsTo('sendMessage', 701)[0]
+  assert.equal(reply.params.parse_mode, 'HTML')
+  assert.match(reply.params.text, /<b>user701 您好<\/b>，请查看 <a href="https:\/\/example.com\/docs">文档<\/a> 或输入 <code>code<\/code>$/)
+})
+
+test('回复模板：没有格式的旧模板照常使用', async () => {
+  const env = createEnv()
+  await env.USER_STORAGE.put('tpl:old', JSON.stringify({ name: 'old', text: '编号 {id}，<请稍候>' }))
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: '/r 702 old' })), env)
+
+  assert.match(telegram.callsTo('sendMessage', 702)[0].params.text, /编号 702，&lt;请稍候&gt;$/)
+})
+
+test('回复模板：媒体模板保留说明的格式', async () => {
+  const env = createEnv()
+  await saveTemplate(env, 'pic', {
+    photo: [{ file_id: 'photo-1' }],
+    caption: '给 {name} 的图',
+    caption_entities: [{ type: 'italic', offset: 9, length: 2 }]
+  })
+
+  telegram.reset()
+  await processUpdate(toUpdate(adminMessage({ text: '/r 703 pic' })), env)
+
+  const copied = telegram.callsTo('copyMessage', 703)[0]
+  assert.equal(copied.params.parse_mode, 'HTML')
+  assert.match(copied.params.caption, /给 703 <i>的图<\/i>$/)
+})
@@ -0,0 +1,154 @@
+// 测试辅助：模拟 Telegram Bot API 和 KV 存储，供 *.test.js 使用（node --test）
+
+import { FileStorage } from '../node/storage.js'
+
+// 测试中不输出运行日志：node --test 的测试进程与测试结果共用 stdout，大量日志偶尔会导致结果解析失败
+// 错误日志写入 stderr，照常输出
+console.log = () => {}
+
+// 内存中的KV存储：沿用 FileStorage 的读写语义，不读写文件
+// 与 Workers KV 一样拒绝小于60秒的 expirationTtl 和超过1024字节的元数据，failPut 可模拟写入失败
+export class MemoryStorage extends FileStorage {
+  constructor() {
+    super(null)
+    this.failPut = null
+  }
+
+  async load() {
+    this.entries ||= new Map()
+    return this.entries
+  }
+
+  scheduleFlush() {}
+
+  async flush() {}
+
+  async put(key, value, options = {}) {
+    if (this.failPut && this.failPut(key)) throw new Error(`KV PUT failed: 429 Too Many Requests (${key})`)
+    if (options.expirationTtl !== undefined && options.expirationTtl < 60) {
+      throw new Error(`Invalid expiration_ttl of ${options.expirationTtl} (${key})`)
+    }
+    if (options.metadata !== undefined && new TextEncoder().encode(JSON.stringify(options.metadata)).length > 1024) {
+      throw new Error(`Metadata length exceeds 1024 bytes (${key})`)
+    }
+    return await super.put(key, value, options)
+  }
+}
+
+// 替换全局 fetch 模拟Telegram Bot API：记录每次调用（成功时包含返回的 result），未设置 respond 的方法返回成功
+export function mockTelegram() {
+  const calls = []
+  const responders = {}
+  let nextMessageId = 1000
+
+  globalThis.fetch = async (url, init = {}) => {
+    const method = String(url).split('/').pop()
+    const params = init.body instanceof FormData ? Object.fromEntries(init.body.entries()) : JSON.parse(init.body || '{}')
+    const call = { method, params }
+    calls.push(call)
+
+    const custom = responders[method] && await responders[method](params)
+    if (custom) return new Response(JSON.stringify(custom.body), { status: custom.status || 200 })
+
+    let result = { message_id: nextMessageId++, chat: { id: params.chat_id } }
+    if (method === 'createForumTopic') result = { message_thread_id: nextMessageId++, name: params.name }
+    if (method === 'sendMediaGroup') result = params.media.map(() => ({ message_id: nextMessageId++ }))
+    if (method === 'copyMessages') result = params.message_ids.map(() => ({ message_id: nextMessageId++ }))
+    if (['deleteMessage', 'answerCallbackQuery', 'setMyCommands', 'setWebhook', 'deleteWebhook'].includes(method)) result = true
+    call.result = result
+    return new Response(JSON.stringify({ ok: true, result }), { status: 200 })
+  }
+
+  return {
+    calls,
+    // 为某个方法设置响应，fn(params) 返回 { status, body }，返回空值时按成功处理
+    respond(method, fn) {
+      responders[method] = fn
+    },
+    // 按方法名筛选调用，可选再按 chat_id 筛选
+    callsTo(method, chatId) {
+      return calls.filter(call => call.method === method && (chatId === undefined || String(call.params.chat_id) === String(chatId)))
+    },
+    reset() {
+      calls.length = 0
+    }
+  }
+}
+
+// Telegram错误响应，用于 respond
+export function telegramError(errorCode, description, parameters) {
+  return { status: errorCode, body: { ok: false, error_code: errorCode, description, ...(parameters ? { parameters } : {}) } }
+}
+
+export const ADMIN_CHAT_ID = '-100999'
+
+// 测试用的环境变量，默认绑定内存存储并开启用户跟踪
+export function createEnv(overrides = {}) {
+  return {
+    BOT_TOKEN: 'test-token',
+    ADMIN_CHAT_ID,
+    USER_ID_SECRET: 'test-secret',
+    ENABLE_USER_TRACKING: 'true',
+    USER_STORAGE: new MemoryStorage(),
+    ...overrides
+  }
+}
+
+let nextUpdateId = 1
+let nextIncomingMessageId = 1
+
+// 用户私聊消息
+export function userMessage(userId, fields = {}) {
+  return {
+    message_id: nextIncomingMessageId++,
+    from: { id: userId, first_name: `User${userId}`, username: `user${userId}`, language_code: 'zh-hans' },
+    chat: { id: userId, type: 'private' },
+    date: Math.floor(Date.now() / 1000),
+    ...fields
+  }
+}
+
+// 管理员聊天中的消息，fromId 为发送消息的管理员
+export function adminMessage(fields = {}, fromId = 1) {
+  return {
+    message_id: nextIncomingMessageId++,
+    from: { id: fromId, first_name: `Admin${fromId}` },
+    chat: { id: Number(ADMIN_CHAT_ID), type: 'supergroup' },
+    date: Math.floor(Date.now() / 1000),
+    ...fields
+  }
+}
+
+// 管理员点击按钮的回调，messageId 为按钮所在的消息
+export function adminCallback(data, fromId = 1, messageId = 1) {
+  return {
+    id: `callback-${nextUpdateId}`,
+    from: { id: fromId, first_name: `Admin${fromId}` },
+    message: { message_id: messageId, chat: { id: Number(ADMIN_CHAT_ID), type: 'supergroup' } },
+    data
+  }
+}
+
+// 用户在私聊中点击按钮的回调
+export function userCallback(userId, data, messageId = 1) {
+  return {
+    id: `callback-${nextUpdateId}`,
+    from: { id: userId, first_name: `User${userId}`, language_code: 'zh-hans' },
+    message: { message_id: messageId, chat: { id: userId, type: 'private' } },
+    data
+  }
+}
+
+// 机器人在管理员聊天中发送的消息（如转发的用户消息），用作管理员回复的 reply_to_message
+export function sentMessage(call) {
+  return {
+    message_id: call.result.message_id,
+    chat: { id: Number(ADMIN_CHAT_ID), type: 'supergroup' },
+    ...(call.params.text !== undefined ? { text: call.params.text } : { caption: call.params.caption })
+  }
+}
+
+// 包装为更新，kind 为 message、edited_message 或 callback_query
+export function toUpdate(payload, kind = 'message') {
+  return { update_id: nextUpdateId++, [kind]: payload }
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate, handleScheduled, getUsersFromKV, queryUsers } from './core.js'
+import { mockTelegram, createEnv, userMessage, toUpdate } from './testing.js'
+
+mockTelegram()
+
+const scheduledEvent = { cron: '* * * * *', scheduledTime: Date.now() }
+
+test('用户记录：每个用户一条记录，列表来自元数据', async () => {
+  const env = createEnv()
+  await processUpdate(toUpdate(userMessage(401, { text: '你好' })), env)
+  await processUpdate(toUpdate(userMessage(402, { text: '你好' })), env)
+
+  const record = await env.USER_STORAGE.get('user:401', 'json')
+  assert.equal(record.chatId, '401')
+  assert.equal(record.status, 'active')
+  assert.ok(record.firstSeen)
+
+  const users = await getUsersFromKV(env)
+  assert.deepEqual(users.map(user => user.chatId).sort(), ['401', '402'])
+
+  const result = await queryUsers(env, { query: 'user402' })
+  assert.equal(result.total, 1)
+})
+
+test('用户记录：定时任务迁移旧版 user_list', async () => {
+  const env = createEnv()
+  await env.USER_STORAGE.put('user_list', JSON.stringify([
+    { chatId: 501, userName: 'old', userId: 501, lastActive: '2023-05-01T00:00:00.000Z' }
+  ]))
+
+  await handleScheduled(scheduledEvent, env)
+
+  assert.equal(await env.USER_STORAGE.get('user_list'), null)
+  const record = await env.USER_STORAGE.get('user:501', 'json')
+  assert.equal(record.userName, 'old')
+  assert.equal(record.firstSeen, '2023-05-01T00:00:00.000Z')
+})
+
+test('用户记录：迁移前已发送消息的用户保留旧版的更早时间', async () => {
+  const env = createEnv()
+  await env.USER_STORAGE.put('user_list', JSON.stringify([
+    { chatId: 502, userName: 'old', userId: 502, lastActive: '2023-05-01T00:00:00.000Z' }
+  ]))
+
+  // 第一次定时任务运行前用户发送了消息，已创建新记录
+  await processUpdate(toUpdate(userMessage(502, { text: '我回来了' })), env)
+  const before = await env.USER_STORAGE.get('user:502', 'json')
+  assert.notEqual(before.firstSeen, '2023-05-01T00:00:00.000Z')
+
+  await handleScheduled(scheduledEvent, env)
+
+  const record = await env.USER_STORAGE.get('user:502', 'json')
+  assert.equal(record.firstSeen, '2023-05-01T00:00:00.000Z')
+  assert.equal(record.userName, 'user502')
+  assert.equal(record.lastActive, before.lastActive)
+})
@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { processUpdate } from './core.js'
+import { mockTelegram, createEnv, userMessage, userCallback, toUpdate, ADMIN_CHAT_ID } from './testing.js'
+
+const telegram = mockTelegram()
+
+// 相册中的一张图片
+function albumItem(userId, mediaGroupId, n) {
+  return userMessage(userId, {
+    media_group_id: mediaGroupId,
+    photo: [{ file_id: `photo-${mediaGroupId}-${n}`, file_unique_id: `u-${mediaGroupId}-${n}`, width: 90, height: 90 }]
+  })
+}
+
+// 发给用户的验证题
+function challengesTo(userId) {
+  return telegram.callsTo('sendMessage', userId).filter(call => call.params.reply_markup?.inline_keyboard?.[0]?.[0]?.callback_data?.startsWith('verify:'))
+}
+
+test('人机验证：新用户的消息不转发，答对后通过验证', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_VERIFICATION: 'true' })
+
+  await processUpdate(toUpdate(userMessage(701, { text: '你好' })), env)
+  assert.equal(challengesTo(701).length, 1)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 0)
+
+  const record = await env.USER_STORAGE.get('verify:701', 'json')
+  await processUpdate(toUpdate(userCallback(701, `verify:${record.nonce}:${record.answer}`), 'callback_query'), env)
+  assert.equal((await env.USER_STORAGE.get('verify:701', 'json')).status, 'verified')
+
+  await processUpdate(toUpdate(userMessage(701, { text: '现在可以了吗' })), env)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 1)
+})
+
+test('人机验证：未验证用户的相册只发送一道验证题', async () => {
+  telegram.reset()
+  const env = createEnv({ ENABLE_VERIFICATION: 'true' })
+
+  // 同时到达的相册项
+  await Promise.all([1, 2, 3, 4].map(n => processUpdate(toUpdate(albumItem(702, 'g1', n)), env)))
+  assert.equal(challengesTo(702).length, 1)
+
+  // 相继到达的相册项
+  for (const n of [1, 2, 3]) {
+    await processUpdate(toUpdate(albumItem(702, 'g2', n)), env)
+  }
+  assert.equal(challengesTo(702).length, 2)
+
+  // 其他实例已为该相册出题
+  await env.USER_STORAGE.put('verifyalbum:702:g3', '1', { expirationTtl: 60 })
+  await processUpdate(toUpdate(albumItem(702, 'g3', 1)), env)
+  assert.equal(challengesTo(702).length, 2)
+
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 0)
+})
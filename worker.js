@@ -4,646 +4,409 @@
 // BOT_TOKEN: Telegram Bot Token (从 @BotFather 获取)
 // ADMIN_CHAT_ID: 管理员的Chat ID (可以通过发送消息给机器人获取)
 // WEBHOOK_SECRET: Webhook验证密钥 (可选，用于安全验证)
+// ADMIN_API_TOKEN: 管理接口（/setWebhook、/me 等）的访问令牌，请求需携带 "Authorization: Bearer <令牌>" (必需，不设置则管理接口不可用)
+// API_TOKEN: 供外部系统调用的 /api/* 接口的访问令牌 (可选，不设置则 /api/* 不可用)
+// API_RATE_LIMIT: /api/* 每分钟最多处理的请求数 (可选，默认60，按实例计数)
 // ENABLE_USER_TRACKING: 启用用户跟踪 (可选，需要绑定KV存储)
 // USER_ID_SECRET: 用户ID签名密钥 (建议设置，用于防止身份伪造攻击)
+// BAN_NOTICE: 被封禁用户收到的提示 (可选，需要绑定KV存储，不设置则静默丢弃)
+// ENABLE_FORUM_MODE: 论坛话题模式 (可选，ADMIN_CHAT_ID需为开启话题的超级群组，需要绑定KV存储)
+// SHOW_USER_TAG: 是否在转发消息中显示用户标识 (可选，默认true；设为false时依赖KV消息映射进行回复路由)
+// MESSAGE_MAP_TTL_DAYS: 消息ID映射的保留天数 (可选，默认30天)
+// RATE_LIMIT_MAX: 每个用户在时间窗口内最多可发送的消息数 (可选，不设置则不限制，需要绑定KV存储)
+// RATE_LIMIT_WINDOW: 限流时间窗口，单位秒 (可选，默认60)
+// RATE_LIMIT_AUTO_BAN: 24小时内触发限流达到该次数后自动封禁 (可选，不设置则不自动封禁)
+// ADMIN_USERS: 管理员列表，格式 "用户ID:角色:署名"，逗号分隔 (可选，角色为 owner 或 responder，不设置则管理员聊天中的所有人均为 owner)
+// SIGN_ADMIN_REPLIES: 在发给用户的回复中附带管理员署名 (可选，设为true启用)
+// BUSINESS_HOURS: 工作时间，格式 "mon-fri@09:00-18:00,sat@10:00-14:00" (可选，不设置则始终视为工作时间)
+// BUSINESS_TIMEZONE: 工作时间所在时区 (可选，默认与 TIMEZONE 相同)
+// OFF_HOURS_NOTICE: 非工作时间用户收到的提示 (可选，不设置则使用默认提示)
+// ENABLE_VERIFICATION: 新用户需先通过人机验证，消息才会转发 (可选，设为true启用，需要绑定KV存储)
+// VERIFY_MAX_ATTEMPTS: 人机验证允许的错误次数，超过后自动封禁 (可选，默认3)
+// ENABLE_HISTORY: 记录用户消息和管理员回复，供 /history 和 /export 使用 (可选，设为true启用，需要绑定KV存储)
+// HISTORY_TTL_DAYS: 对话记录的保留天数 (可选，默认90天)
+// TIMEZONE: 时间显示和定时群发使用的时区 (可选，默认Asia/Shanghai)
+// DEFAULT_LANGUAGE: 用户的Telegram语言不受支持时使用的语言 (可选，zh 或 en，默认zh)
+
+//
+// 本文件负责HTTP路由（Webhook、管理接口和 /api/*），更新处理逻辑在 src/core.js 中，与长轮询运行时共用
 
 // 无状态设计，不需要内存存储
 
-// 生成用户ID的HMAC签名
-async function generateUserIdSignature(userId, secret) {
-  if (!secret) {
-    // 如果没有配置密钥，使用简单的哈希作为后备
-    const data = new TextEncoder().encode(`user:${userId}:fallback`)
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data)
-    const hashArray = Array.from(new Uint8Array(hashBuffer))
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16)
-  }
-  
-  const key = await crypto.subtle.importKey(
-    'raw',
-    new TextEncoder().encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  )
-  
-  const data = new TextEncoder().encode(`user:${userId}`)
-  const signature = await crypto.subtle.sign('HMAC', key, data)
-  const signatureArray = Array.from(new Uint8Array(signature))
-  return signatureArray.map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16)
-}
+import {
+  processUpdate,
+  isDuplicateUpdate,
+  handleScheduled,
+  registerBotCommands,
+  TelegramAPIError,
+  sendMessage,
+  setWebhook,
+  getMe,
+  getWebhookInfo,
+  deleteWebhook,
+  getUnreachableReason,
+  logConversation,
+  getUsersFromKV,
+  queryUsers,
+  isUserActive,
+  markUserInactive,
+  getBanRecord,
+  listBannedUsers,
+  incrementLocalWindowCounter,
+  parseTargetList,
+  validatePostTargets,
+  resolvePostTargets,
+  broadcastMessage,
+  formatBroadcastReport,
+  createBroadcastJob,
+  saveBroadcastJob,
+  listBroadcastJobs,
+  runBroadcastJob,
+  cancelBroadcastJob,
+  formatJobProgress,
+  JOB_STATUS_LABELS,
+  listBroadcastSchedules,
+  isWithinBusinessHours,
+  getAwayStatus
+} from './src/core.js'
 
-// 验证用户ID签名
-async function verifyUserIdSignature(userId, signature, secret) {
-  const expectedSignature = await generateUserIdSignature(userId, secret)
-  return signature === expectedSignature
-}
+// 处理Webhook消息
+async function handleWebhook(request, env, ctx) {
+  try {
+    // 验证Webhook密钥（如果设置了）
+    if (env.WEBHOOK_SECRET) {
+      const secretToken = request.headers.get('X-Telegram-Bot-Api-Secret-Token')
+      if (secretToken !== env.WEBHOOK_SECRET) {
+        return new Response('Unauthorized', { status: 401 })
+      }
+    }
 
-// 创建安全的用户标识符
-async function createSecureUserTag(userId, secret) {
-  const signature = await generateUserIdSignature(userId, secret)
-  return `[USER:${userId}:${signature}]`
-}
+    let update
+    try {
+      update = await request.json()
+    } catch (error) {
+      return new Response('Bad Request', { status: 400 })
+    }
 
-// 从消息中安全提取用户Chat ID的辅助函数
-async function extractUserChatId(messageText, secret) {
-  if (!messageText) return null
-  
-  // 新的安全格式：[USER:id:signature] 
-  const secureMatch = messageText.match(/\[USER:(\d+):([a-f0-9]{16})\]/)
-  if (secureMatch) {
-    const userId = secureMatch[1]
-    const signature = secureMatch[2]
-    
-    // 验证签名
-    const isValid = await verifyUserIdSignature(userId, signature, secret)
-    if (isValid) {
-      return userId
-    } else {
-      console.warn(`检测到无效的用户ID签名: ${userId}:${signature}`)
-      return null
+    // 重复推送的更新直接确认，避免重复转发或重复群发
+    if (await isDuplicateUpdate(update.update_id, env)) {
+      console.log(`跳过重复的更新: ${update.update_id}`)
+      return new Response('OK', { status: 200 })
     }
-  }
-  
-  // 兼容旧格式（逐步淘汰，仅在没有新格式时使用）
-  const legacyMatch = messageText.match(/\[USER:(\d+)\](?![:\w])/)
-  if (legacyMatch && !secureMatch) {
-    console.warn(`使用了不安全的旧格式用户标识: ${legacyMatch[1]}`)
-    return legacyMatch[1]
-  }
-  
-  return null
-}
 
-// 解析群发命令的目标用户
-function parsePostTargets(commandText) {
-  if (!commandText) return { userIds: [], message: '' }
-  
-  const parts = commandText.split(' ')
-  if (parts.length < 2) return { userIds: [], message: '' }
-  
-  const targetsStr = parts[0]
-  const message = parts.slice(1).join(' ')
-  
-  // 处理特殊关键词
-  if (targetsStr === 'all') {
-    return { userIds: 'all', message }
-  }
-  
-  // 解析用户ID列表（逗号分隔）
-  const userIds = targetsStr.split(',')
-    .map(id => id.trim())
-    .filter(id => /^\d+$/.test(id))
-  
-  return { userIds, message }
-}
+    // 更新已接收：使用 ctx.waitUntil 在后台处理，处理失败也返回200，避免Telegram无限重试
+    ctx.waitUntil(processUpdate(update, env))
 
-// 从KV存储获取用户列表
-async function getUsersFromKV(env) {
-  try {
-    if (!env.USER_STORAGE) {
-      console.log('KV存储未配置')
-      return []
-    }
+    return new Response('OK', { status: 200 })
+  } catch (error) {
+    console.error('Webhook处理错误:', error)
     
-    const usersData = await env.USER_STORAGE.get('user_list')
-    if (!usersData) return []
+    // 使用 ctx.waitUntil 进行后台错误记录
+    ctx.waitUntil(
+      sendMessage(env.ADMIN_CHAT_ID, `🚨 Bot错误: ${error.message}`, env.BOT_TOKEN)
+        .catch(err => console.error('发送错误通知失败:', err))
+    )
     
-    const users = JSON.parse(usersData)
-    return Array.isArray(users) ? users : []
-  } catch (error) {
-    console.error('从KV获取用户列表失败:', error)
-    return []
+    return new Response('Internal Server Error', { status: 500 })
   }
 }
 
-// 向KV存储添加用户
-async function addUserToKV(chatId, userInfo, env) {
+// 处理HTTP请求
+async function handleRequest(request, env, ctx) {
+  // 输入验证
+  if (!env.BOT_TOKEN || !env.ADMIN_CHAT_ID) {
+    const missingVar = !env.BOT_TOKEN ? 'BOT_TOKEN' : 'ADMIN_CHAT_ID'
+    return new Response(`Missing ${missingVar} environment variable`, { status: 500 })
+  }
+
+  const url = new URL(request.url)
+
   try {
-    if (!env.USER_STORAGE) return
-    
-    const users = await getUsersFromKV(env)
-    const existingIndex = users.findIndex(u => u.chatId === chatId)
-    
-    const userData = {
-      chatId,
-      userName: userInfo.userName,
-      userId: userInfo.userId,
-      lastActive: new Date().toISOString()
-    }
-    
-    if (existingIndex >= 0) {
-      users[existingIndex] = userData
-    } else {
-      users.push(userData)
+    // 管理接口（需要 ADMIN_API_TOKEN）
+    const managementResponse = await handleManagementRoute(request, url, env)
+    if (managementResponse) return managementResponse
+
+    // 外部系统接口（需要 API_TOKEN）
+    const apiResponse = await handleApiRequest(request, url, env, ctx)
+    if (apiResponse) return apiResponse
+
+    // 路由处理
+    switch (true) {
+      case request.method === 'POST' && url.pathname === '/webhook':
+        return await handleWebhook(request, env, ctx)
+        
+      case request.method === 'GET' && url.pathname === '/':
+        return new Response('Telegram Bot is running!', { status: 200 })
+        
+      default:
+        return new Response('Not Found', { status: 404 })
     }
+  } catch (error) {
+    console.error('请求处理错误:', error)
     
-    // 保持最多1000个用户记录
-    if (users.length > 1000) {
-      users.sort((a, b) => new Date(b.lastActive).getTime() - new Date(a.lastActive).getTime())
-      users.splice(1000)
-    }
+    // 后台错误记录
+    ctx.waitUntil(
+      sendMessage(env.ADMIN_CHAT_ID, `🚨 系统错误: ${error.message}`, env.BOT_TOKEN)
+        .catch(err => console.error('发送系统错误通知失败:', err))
+    )
     
-    await env.USER_STORAGE.put('user_list', JSON.stringify(users))
-  } catch (error) {
-    console.error('添加用户到KV失败:', error)
+    return new Response('Internal Server Error', { status: 500 })
   }
 }
 
-// 群发消息功能
-async function broadcastMessage(userIds, message, env, isMedia = false, mediaOptions = {}) {
-  const results = { success: 0, failed: 0, errors: [] }
-  
-  // 获取实际的用户ID列表
-  let targetUserIds = []
-  if (userIds === 'all') {
-    const users = await getUsersFromKV(env)
-    targetUserIds = users.map(u => u.chatId)
-    if (targetUserIds.length === 0) {
-      return { success: 0, failed: 1, errors: ['未找到可广播的用户，请确保已启用用户跟踪功能'] }
-    }
-  } else {
-    targetUserIds = userIds
-  }
-  
-  if (targetUserIds.length === 0) {
-    return { success: 0, failed: 1, errors: ['未指定有效的用户ID'] }
-  }
-  
-  // 限制并发数量以避免API限制
-  const batchSize = 10
-  for (let i = 0; i < targetUserIds.length; i += batchSize) {
-    const batch = targetUserIds.slice(i, i + batchSize)
-    
-    const promises = batch.map(async (chatId) => {
-      try {
-        if (isMedia) {
-          await copyMessage(chatId, env.ADMIN_CHAT_ID, mediaOptions.messageId, env.BOT_TOKEN, {
-            caption: `📢 *管理员广播:*\n\n${message}`
-          })
-        } else {
-          await sendMessage(chatId, `📢 *管理员广播:*\n\n${message}`, env.BOT_TOKEN)
-        }
-        results.success++
-      } catch (error) {
-        results.failed++
-        results.errors.push(`用户 ${chatId}: ${error.message}`)
-        console.error(`发送给用户 ${chatId} 失败:`, error)
-      }
-    })
-    
-    await Promise.allSettled(promises)
-    
-    // 添加短暂延迟以避免触发速率限制
-    if (i + batchSize < targetUserIds.length) {
-      await new Promise(resolve => setTimeout(resolve, 100))
-    }
+// 常量时间比较字符串，避免通过响应时间猜测令牌
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false
+
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
   }
-  
-  return results
+  return diff === 0
 }
 
-// 统一的Telegram API调用函数
-async function callTelegramAPI(method, params, botToken) {
-  const url = `https://api.telegram.org/bot${botToken}/${method}`
-  
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(params)
-    })
-
-    if (!response.ok) {
-      throw new Error(`Telegram API error: ${response.status} ${response.statusText}`)
-    }
+// 校验请求的 Bearer 令牌，未配置令牌时拒绝所有请求
+function hasValidBearerToken(request, token) {
+  if (!token) return false
 
-    return await response.json()
-  } catch (error) {
-    console.error(`Failed to call Telegram API ${method}:`, error)
-    throw error
-  }
+  const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)
+  return !!match && timingSafeEqual(match[1].trim(), token)
 }
 
-// 发送消息
-async function sendMessage(chatId, text, botToken, options = {}) {
-  const params = {
-    chat_id: chatId,
-    text: text,
-    parse_mode: 'Markdown',
-    ...options
-  }
-  return await callTelegramAPI('sendMessage', params, botToken)
+// 返回JSON响应
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
 }
 
-// 复制消息
-async function copyMessage(chatId, fromChatId, messageId, botToken, options = {}) {
-  const params = {
-    chat_id: chatId,
-    from_chat_id: fromChatId,
-    message_id: messageId,
-    ...options
+// 处理管理接口，需携带 Authorization: Bearer <ADMIN_API_TOKEN>；未匹配的路径返回null
+async function handleManagementRoute(request, url, env) {
+  const routes = {
+    'GET /setWebhook': () => setWebhook(`${url.origin}/webhook`, env.BOT_TOKEN, env.WEBHOOK_SECRET || ''),
+    'POST /setWebhook': () => setWebhook(`${url.origin}/webhook`, env.BOT_TOKEN, env.WEBHOOK_SECRET || ''),
+    'GET /me': () => getMe(env.BOT_TOKEN),
+    'GET /webhookInfo': () => getWebhookInfo(env.BOT_TOKEN),
+    'POST /deleteWebhook': () => deleteWebhook(env.BOT_TOKEN, url.searchParams.get('drop_pending_updates') === 'true'),
+    'POST /setMyCommands': () => registerBotCommands(env)
   }
-  return await callTelegramAPI('copyMessage', params, botToken)
-}
 
-// 设置Webhook
-async function setWebhook(url, botToken, secret = '') {
-  const params = {
-    url: url,
-    secret_token: secret
+  const route = routes[`${request.method} ${url.pathname}`]
+  if (!route) return null
+
+  if (!hasValidBearerToken(request, env.ADMIN_API_TOKEN)) {
+    return jsonResponse({
+      ok: false,
+      description: env.ADMIN_API_TOKEN ? 'Unauthorized' : 'ADMIN_API_TOKEN is not configured'
+    }, 401)
   }
-  return await callTelegramAPI('setWebhook', params, botToken)
-}
 
-// 获取机器人信息
-async function getMe(botToken) {
-  return await callTelegramAPI('getMe', {}, botToken)
+  try {
+    return jsonResponse(await route())
+  } catch (error) {
+    // Telegram返回的错误原样返回给调用方，其他错误交给上层处理
+    if (!(error instanceof TelegramAPIError)) throw error
+    return jsonResponse({ ok: false, error_code: error.errorCode, description: error.description }, 502)
+  }
 }
 
-// 创建格式化的用户信息
-function createUserInfo(message) {
-  const { from, chat } = message
-  const userName = from.username || from.first_name || 'Unknown'
-  const userId = from.id
-  const chatId = chat.id
-  const time = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })
-  
-  return {
-    userName,
-    userId,
-    chatId,
-    time,
-    header: `📩 *来自用户: ${userName}*\n🆔 ID: \`${userId}\`\n⏰ 时间: ${time}\n────────────────────`
+// /api/* 接口的错误，code 为机器可读的错误码，status 为HTTP状态码
+class ApiError extends Error {
+  constructor(code, message, status = 400) {
+    super(message)
+    this.name = 'ApiError'
+    this.code = code
+    this.status = status
   }
 }
 
-// 处理用户消息
-async function handleUserMessage(message, env) {
-  const userInfo = createUserInfo(message)
-  
-  try {
-    // 自动跟踪用户（如果启用）
-    if (env.ENABLE_USER_TRACKING === 'true') {
-      await addUserToKV(userInfo.chatId, userInfo, env)
-    }
-    
-    // 发送欢迎消息给新用户
-    if (message.text === '/start') {
-      await sendMessage(
-        userInfo.chatId, 
-        `👋 你好！我是消息转发机器人。\n\n请发送你的消息，我会转发给管理员并尽快回复你。`, 
-        env.BOT_TOKEN
-      )
-      return
-    }
+// /api/* 接口的错误响应：{ ok: false, error: { code, message } }
+function apiErrorResponse(error) {
+  const headers = { 'Content-Type': 'application/json' }
+  if (error.retryAfter) headers['Retry-After'] = error.retryAfter.toString()
 
-    // 创建包含用户信息的转发消息
-    const secureUserTag = await createSecureUserTag(userInfo.chatId, env.USER_ID_SECRET)
-    let forwardResult
-    if (message.text) {
-      // 文本消息
-      const forwardText = `${userInfo.header}\n📝 *消息内容:*\n${message.text}\n\n\`${secureUserTag}\``
-      forwardResult = await sendMessage(env.ADMIN_CHAT_ID, forwardText, env.BOT_TOKEN)
-    } else {
-      // 媒体消息
-      const caption = `${userInfo.header}\n${message.caption ? `📝 *说明:* ${message.caption}\n\n` : ''}\`${secureUserTag}\``
-      forwardResult = await copyMessage(env.ADMIN_CHAT_ID, userInfo.chatId, message.message_id, env.BOT_TOKEN, { caption })
-    }
+  return new Response(JSON.stringify({ ok: false, error: { code: error.code, message: error.message } }, null, 2), {
+    status: error.status,
+    headers
+  })
+}
 
-    if (forwardResult.ok) {
-      console.log(`消息转发成功: 用户 ${userInfo.userName} -> 管理员`)
-      
-      // 给用户发送确认消息
-      await sendMessage(userInfo.chatId, `✅ 你的消息已发送给管理员，请耐心等待回复。`, env.BOT_TOKEN)
-    }
+// 读取请求的JSON正文
+async function readJsonBody(request) {
+  try {
+    const body = await request.json()
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body
   } catch (error) {
-    console.error('处理用户消息错误:', error)
-    try {
-      await sendMessage(userInfo.chatId, `❌ 抱歉，消息发送失败，请稍后再试。`, env.BOT_TOKEN)
-    } catch (sendError) {
-      console.error('发送错误消息失败:', sendError)
-    }
+    // 按格式错误处理
   }
+  throw new ApiError('invalid_json', 'Request body must be a JSON object')
 }
 
-// 处理管理员消息
-async function handleAdminMessage(message, env) {
-  try {
-    // 管理员命令处理
-    if (message.text === '/start') {
-      const userTrackingStatus = env.ENABLE_USER_TRACKING === 'true' ? '🟢 已启用' : '🔴 未启用'
-      await sendMessage(env.ADMIN_CHAT_ID, 
-        `🔧 *管理员面板*\n\n👋 欢迎使用消息转发机器人管理面板！\n\n📋 *可用命令:*\n• \`/status\` - 查看机器人状态\n• \`/help\` - 显示帮助信息\n• \`/post\` - 群发消息功能\n• \`/users\` - 查看用户列表（需启用用户跟踪）\n\n💡 *使用说明:*\n• 直接回复用户消息即可回复给对应用户\n• 使用 /post 命令进行消息群发\n\n📊 *系统状态:*\n• 用户跟踪: ${userTrackingStatus}\n\n🤖 机器人已就绪，等待用户消息...`, 
-        env.BOT_TOKEN
-      )
-      return
-    }
+// /api/* 的请求频率限制：按分钟在本实例内计数，不读写KV
+// 所有请求共用一个计数，写入KV会使同一个键每秒被写入多次而失败，存储故障也不应让接口返回500
+function checkApiRateLimit(env) {
+  const maxRequests = parseInt(env.API_RATE_LIMIT || '60', 10) || 60
+  const counter = incrementLocalWindowCounter('rate:api', 60)
+  if (counter.count > maxRequests) {
+    const error = new ApiError('rate_limited', `Too many requests, limit is ${maxRequests} per minute`, 429)
+    error.retryAfter = 60 - Math.floor(Date.now() / 1000) % 60
+    throw error
+  }
+}
 
-    if (message.text === '/status') {
-      const userCount = env.ENABLE_USER_TRACKING === 'true' 
-        ? (await getUsersFromKV(env)).length 
-        : '未启用跟踪'
-      
-      await sendMessage(env.ADMIN_CHAT_ID, 
-        `📊 *机器人状态*\n\n🟢 状态: 运行中\n🔄 模式: 无状态转发\n👥 已跟踪用户: ${userCount}\n⏰ 查询时间: ${new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}`, 
-        env.BOT_TOKEN
-      )
-      return
-    }
+// GET /api/users?page=1&page_size=50&q=关键词：分页列出已跟踪的用户（按最后活跃倒序）
+async function handleApiUsers(url, env) {
+  if (env.ENABLE_USER_TRACKING !== 'true' || !env.USER_STORAGE) {
+    throw new ApiError('tracking_disabled', 'User tracking is not enabled (ENABLE_USER_TRACKING and USER_STORAGE are required)', 409)
+  }
 
-    if (message.text === '/help') {
-      await sendMessage(env.ADMIN_CHAT_ID, 
-        `❓ *帮助信息*\n\n🔄 *回复用户:*\n直接回复用户的消息即可发送回复给对应用户\n\n📢 *群发消息:*\n• \`/post all 消息内容\` - 向所有用户群发（需启用用户跟踪）\n• \`/post 123,456,789 消息内容\` - 向指定用户群发\n• 回复媒体消息并使用 /post 命令可群发媒体\n\n👥 *用户管理:*\n• \`/users\` - 查看已跟踪的用户列表\n\n📝 *消息格式:*\n• 支持文本、图片、文件等各种消息类型\n• 支持Markdown格式\n\n⚙️ *命令列表:*\n• \`/start\` - 显示欢迎信息\n• \`/status\` - 查看机器人状态\n• \`/help\` - 显示此帮助信息\n• \`/post\` - 群发消息功能\n• \`/users\` - 查看用户列表`, 
-        env.BOT_TOKEN
-      )
-      return
-    }
+  const page = parseInt(url.searchParams.get('page') || '1', 10) || 1
+  const pageSize = Math.min(100, Math.max(1, parseInt(url.searchParams.get('page_size') || '50', 10) || 50))
+  const { users, total, page: currentPage, totalPages } = await queryUsers(env, {
+    page,
+    query: url.searchParams.get('q') || '',
+    pageSize
+  })
 
-    if (message.text && message.text.startsWith('/post')) {
-      const commandText = message.text.substring(5).trim()
-      
-      if (!commandText) {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `📢 *群发功能使用说明*\n\n🎯 *命令格式:*\n• \`/post all 消息内容\` - 向所有用户群发\n• \`/post 123,456,789 消息内容\` - 向指定用户群发\n\n💡 *示例:*\n• \`/post all 系统维护通知：今晚22:00-23:00进行维护\`\n• \`/post 123456789,987654321 您好，这是一条测试消息\`\n\n📎 *群发媒体:*\n回复包含图片/文件的消息，然后使用 /post 命令\n\n⚠️ *注意:*\n• 使用 'all' 需要启用用户跟踪功能\n• 手动指定用户ID时，请用英文逗号分隔\n• 群发会自动限速以避免API限制`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-        return
-      }
+  return { users, total, page: currentPage, page_size: pageSize, total_pages: totalPages }
+}
 
-      const { userIds, message: postMessage } = parsePostTargets(commandText)
-      
-      if (!postMessage) {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `❌ 请提供要群发的消息内容`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-        return
-      }
+// POST /api/send { chat_id, text, parse_mode? }：向单个用户发送消息
+async function handleApiSend(request, env) {
+  const body = await readJsonBody(request)
+  const chatId = (body.chat_id ?? '').toString()
+  const text = typeof body.text === 'string' ? body.text.trim() : ''
 
-      if (userIds === 'all' && env.ENABLE_USER_TRACKING !== 'true') {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `❌ 使用 'all' 群发需要启用用户跟踪功能\n\n请设置环境变量 \`ENABLE_USER_TRACKING=true\` 并绑定KV存储`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-        return
-      }
+  if (!/^\d+$/.test(chatId)) throw new ApiError('invalid_request', 'chat_id must be a numeric user ID')
+  if (!text) throw new ApiError('invalid_request', 'text is required')
+  if (text.length > 4096) throw new ApiError('invalid_request', 'text must be at most 4096 characters')
 
-      if (Array.isArray(userIds) && userIds.length === 0) {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `❌ 未找到有效的用户ID\n\n请检查格式: \`/post 123,456,789 消息内容\``, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-        return
-      }
+  // 外部系统不能绕过封禁向用户发送消息
+  if (await getBanRecord(chatId, env)) throw new ApiError('user_banned', 'User is banned', 409)
 
-      // 发送确认消息
-      const targetCount = userIds === 'all' ? (await getUsersFromKV(env)).length : userIds.length
-      await sendMessage(env.ADMIN_CHAT_ID, 
-        `🚀 开始群发消息...\n\n📊 目标用户数: ${targetCount}\n⏳ 请稍候...`, 
-        env.BOT_TOKEN, 
-        { reply_to_message_id: message.message_id }
-      )
-
-      // 执行群发
-      const results = await broadcastMessage(userIds, postMessage, env)
-      
-      // 发送结果报告
-      const reportText = `📊 *群发完成报告*\n\n✅ 成功: ${results.success}\n❌ 失败: ${results.failed}\n\n${results.errors.length > 0 ? `🔍 *错误详情:*\n${results.errors.slice(0, 5).join('\n')}${results.errors.length > 5 ? `\n... 还有 ${results.errors.length - 5} 个错误` : ''}` : '🎉 全部发送成功！'}`
-      
-      await sendMessage(env.ADMIN_CHAT_ID, reportText, env.BOT_TOKEN)
-      return
+  try {
+    // 默认按纯文本发送，避免调用方的文本被当作Markdown解析失败
+    const result = await sendMessage(chatId, text, env.BOT_TOKEN, { parse_mode: body.parse_mode || undefined })
+    await logConversation(chatId, 'out', { text }, env, { by: 'API' })
+    return { chat_id: chatId, message_id: result.result.message_id }
+  } catch (error) {
+    const unreachableReason = getUnreachableReason(error)
+    if (unreachableReason) {
+      await markUserInactive(chatId, unreachableReason, env)
+      throw new ApiError('user_unreachable', `User is unreachable (${unreachableReason})`, 409)
     }
+    throw error
+  }
+}
 
-    if (message.text === '/users') {
-      if (env.ENABLE_USER_TRACKING !== 'true') {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `❌ 用户跟踪功能未启用\n\n请设置环境变量 \`ENABLE_USER_TRACKING=true\` 并绑定KV存储`, 
-          env.BOT_TOKEN
-        )
-        return
-      }
+// POST /api/broadcast { targets, text }：按 /post 的目标语法群发，如 "all"、"tag:vip,-123"
+// 绑定KV时创建群发任务（无需确认，进度同样显示在管理员聊天中），否则直接调用 broadcastMessage 在后台发送
+async function handleApiBroadcast(request, env, ctx) {
+  const body = await readJsonBody(request)
+  const text = typeof body.text === 'string' ? body.text.trim() : ''
+  const targetsStr = Array.isArray(body.targets) ? body.targets.join(',') : (body.targets ?? '').toString()
 
-      const users = await getUsersFromKV(env)
-      if (users.length === 0) {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `📭 暂无用户记录\n\n用户首次发送消息后会自动记录`, 
-          env.BOT_TOKEN
-        )
-        return
-      }
+  if (!text) throw new ApiError('invalid_request', 'text is required')
 
-      // 按最后活跃时间排序，显示最近的20个用户
-      users.sort((a, b) => new Date(b.lastActive).getTime() - new Date(a.lastActive).getTime())
-      const recentUsers = users.slice(0, 20)
-      
-      const userList = recentUsers.map((user, index) => {
-        const lastActive = new Date(user.lastActive).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })
-        return `${index + 1}. ${user.userName}\n   ID: \`${user.chatId}\`\n   最后活跃: ${lastActive}`
-      }).join('\n\n')
-
-      await sendMessage(env.ADMIN_CHAT_ID, 
-        `👥 *用户列表* (最近 ${recentUsers.length}/${users.length})\n\n${userList}${users.length > 20 ? '\n\n...' : ''}`, 
-        env.BOT_TOKEN
-      )
-      return
-    }
+  const targets = parseTargetList(targetsStr)
+  const targetsError = validatePostTargets(targets, env)
+  if (targetsError) {
+    // 复用 /post 的提示文本，去掉Markdown标记
+    throw new ApiError('invalid_targets', targetsError.replace(/^❌\s*/, '').replace(/`/g, ''))
+  }
 
-    // 处理回复消息（支持群发媒体）
-    if (message.reply_to_message) {
-      const repliedMessage = message.reply_to_message
-      
-      // 检查是否是群发媒体命令（确保不是回复用户消息）
-      const hasUserTag = repliedMessage.text?.includes('[USER:') || repliedMessage.caption?.includes('[USER:')
-      if (message.text && message.text.startsWith('/post') && !hasUserTag) {
-        const commandText = message.text.substring(5).trim()
-        const { userIds, message: postMessage } = parsePostTargets(commandText)
-        
-        if (!postMessage) {
-          await sendMessage(env.ADMIN_CHAT_ID, 
-            `❌ 请提供要群发的消息内容`, 
-            env.BOT_TOKEN, 
-            { reply_to_message_id: message.message_id }
-          )
-          return
-        }
-
-        // 群发媒体消息
-        const targetCount = userIds === 'all' ? (await getUsersFromKV(env)).length : userIds.length
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `🚀 开始群发媒体消息...\n\n📊 目标用户数: ${targetCount}`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-
-        const results = await broadcastMessage(userIds, postMessage, env, true, { 
-          messageId: repliedMessage.message_id 
-        })
-        
-        const reportText = `📊 *媒体群发完成*\n\n✅ 成功: ${results.success}\n❌ 失败: ${results.failed}`
-        await sendMessage(env.ADMIN_CHAT_ID, reportText, env.BOT_TOKEN)
-        return
-      }
-      
-      // 普通回复处理
-      const userChatId = await extractUserChatId(repliedMessage.text || repliedMessage.caption, env.USER_ID_SECRET)
-
-      if (!userChatId) {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `⚠️ 无法识别用户信息。请回复带有用户标识的转发消息。`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-        return
-      }
+  if (!env.USER_STORAGE) {
+    const { userIds, segments } = await resolvePostTargets(targets, env)
+    if (userIds.length === 0) throw new ApiError('no_recipients', 'No users matched the targets', 422)
 
-      // 发送回复给用户
-      let replyResult
-      if (message.text) {
-        replyResult = await sendMessage(userChatId, `💬 *管理员回复:*\n\n${message.text}`, env.BOT_TOKEN)
-      } else {
-        replyResult = await copyMessage(userChatId, env.ADMIN_CHAT_ID, message.message_id, env.BOT_TOKEN, {
-          caption: message.caption ? `💬 *管理员回复:*\n\n${message.caption}` : '💬 *管理员回复:*'
-        })
-      }
+    ctx.waitUntil((async () => {
+      const results = await broadcastMessage(userIds, text, env)
+      await sendMessage(env.ADMIN_CHAT_ID, `🔌 API 群发\n\n${formatBroadcastReport(results)}`, env.BOT_TOKEN)
+    })().catch(error => console.error('API群发失败:', error)))
 
-      if (replyResult.ok) {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `✅ 回复已发送给用户 (ID: ${userChatId})`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-        console.log(`回复发送成功: 管理员 -> 用户 ${userChatId}`)
-      } else {
-        await sendMessage(env.ADMIN_CHAT_ID, 
-          `❌ 回复发送失败: ${replyResult.description || '未知错误'}`, 
-          env.BOT_TOKEN, 
-          { reply_to_message_id: message.message_id }
-        )
-      }
-    } else {
-      // 普通消息（非回复）
-      await sendMessage(env.ADMIN_CHAT_ID, 
-        `💡 *提示:* 请回复具体的用户消息来发送回复，或使用群发命令。\n\n📢 群发: \`/post all 消息内容\`\n❓ 帮助: \`/help\``, 
-        env.BOT_TOKEN, 
-        { reply_to_message_id: message.message_id }
-      )
-    }
-  } catch (error) {
-    console.error('处理管理员消息错误:', error)
-    try {
-      await sendMessage(env.ADMIN_CHAT_ID, `❌ 处理消息时发生错误: ${error.message}`, env.BOT_TOKEN)
-    } catch (sendError) {
-      console.error('发送错误消息失败:', sendError)
-    }
+    return { job_id: null, recipients: userIds.length, segments }
   }
-}
 
-// 处理消息
-async function handleMessage(message, env) {
-  // 输入验证
-  if (!message || !message.from || !message.chat) {
-    console.error('无效的消息格式')
-    return
+  const job = await createBroadcastJob({ targets, message: text, createdBy: 'API' }, env)
+  if (job.recipients.length === 0) {
+    await cancelBroadcastJob(job.id, env)
+    throw new ApiError('no_recipients', 'No users matched the targets', 422)
   }
 
-  const chatId = message.chat.id
-  const userId = message.from.id
-  const userName = message.from.username || message.from.first_name || 'Unknown'
-  const isAdmin = chatId.toString() === env.ADMIN_CHAT_ID.toString()
+  const statusMessage = await sendMessage(env.ADMIN_CHAT_ID, formatJobProgress(job), env.BOT_TOKEN)
+  job.statusMessageId = statusMessage.result.message_id
+  await saveBroadcastJob(job, env)
 
-  console.log(`收到消息: 来自 ${userName} (${userId}) 在聊天 ${chatId}`)
+  // 在后台开始发送，未完成的部分由定时任务继续
+  ctx.waitUntil(runBroadcastJob(job.id, env).catch(error => console.error(`群发任务 ${job.id} 执行失败:`, error)))
 
-  if (isAdmin) {
-    await handleAdminMessage(message, env)
-  } else {
-    await handleUserMessage(message, env)
-  }
+  return { job_id: job.id, recipients: job.recipients.length, segments: job.segments }
 }
 
-// 处理Webhook消息
-async function handleWebhook(request, env, ctx) {
-  try {
-    // 验证Webhook密钥（如果设置了）
-    if (env.WEBHOOK_SECRET) {
-      const secretToken = request.headers.get('X-Telegram-Bot-Api-Secret-Token')
-      if (secretToken !== env.WEBHOOK_SECRET) {
-        return new Response('Unauthorized', { status: 401 })
-      }
-    }
+// GET /api/stats：用户、封禁、群发任务和定时群发的统计
+async function handleApiStats(env) {
+  const stats = {
+    users: null,
+    banned: null,
+    jobs: null,
+    schedules: null,
+    away: false,
+    within_business_hours: isWithinBusinessHours(env)
+  }
+  if (!env.USER_STORAGE) return stats
 
-    const update = await request.json()
-    
-    if (update.message) {
-      // 使用 ctx.waitUntil 进行后台消息处理，不阻塞响应
-      ctx.waitUntil(handleMessage(update.message, env))
-    }
+  if (env.ENABLE_USER_TRACKING === 'true') {
+    const users = await getUsersFromKV(env)
+    const active = users.filter(isUserActive).length
+    stats.users = { total: users.length, active, inactive: users.length - active }
+  }
 
-    return new Response('OK', { status: 200 })
-  } catch (error) {
-    console.error('Webhook处理错误:', error)
-    
-    // 使用 ctx.waitUntil 进行后台错误记录
-    ctx.waitUntil(
-      sendMessage(env.ADMIN_CHAT_ID, `🚨 Bot错误: ${error.message}`, env.BOT_TOKEN)
-        .catch(err => console.error('发送错误通知失败:', err))
-    )
-    
-    return new Response('Internal Server Error', { status: 500 })
+  stats.banned = (await listBannedUsers(env)).length
+  stats.jobs = Object.fromEntries(Object.keys(JOB_STATUS_LABELS).map(status => [status, 0]))
+  for (const job of await listBroadcastJobs(env)) {
+    stats.jobs[job.status] = (stats.jobs[job.status] || 0) + 1
   }
+  stats.schedules = (await listBroadcastSchedules(env)).length
+  stats.away = !!(await getAwayStatus(env))
+
+  return stats
 }
 
-// 处理HTTP请求
-async function handleRequest(request, env, ctx) {
-  // 输入验证
-  if (!env.BOT_TOKEN || !env.ADMIN_CHAT_ID) {
-    const missingVar = !env.BOT_TOKEN ? 'BOT_TOKEN' : 'ADMIN_CHAT_ID'
-    return new Response(`Missing ${missingVar} environment variable`, { status: 500 })
-  }
+// 处理 /api/* 接口，需携带 Authorization: Bearer <API_TOKEN>；非 /api/ 路径返回null
+async function handleApiRequest(request, url, env, ctx) {
+  if (!url.pathname.startsWith('/api/')) return null
 
-  const url = new URL(request.url)
+  const routes = {
+    'GET /api/users': () => handleApiUsers(url, env),
+    'POST /api/send': () => handleApiSend(request, env),
+    'POST /api/broadcast': () => handleApiBroadcast(request, env, ctx),
+    'GET /api/stats': () => handleApiStats(env)
+  }
 
   try {
-    // 路由处理
-    switch (true) {
-      case request.method === 'POST' && url.pathname === '/webhook':
-        return await handleWebhook(request, env, ctx)
-        
-      case request.method === 'GET' && url.pathname === '/setWebhook':
-        const webhookUrl = `${url.origin}/webhook`
-        const result = await setWebhook(webhookUrl, env.BOT_TOKEN, env.WEBHOOK_SECRET || '')
-        return new Response(JSON.stringify(result, null, 2), {
-          headers: { 'Content-Type': 'application/json' }
-        })
-        
-      case request.method === 'GET' && url.pathname === '/me':
-        const botInfo = await getMe(env.BOT_TOKEN)
-        return new Response(JSON.stringify(botInfo, null, 2), {
-          headers: { 'Content-Type': 'application/json' }
-        })
-        
-      case request.method === 'GET' && url.pathname === '/':
-        return new Response('Telegram Bot is running!', { status: 200 })
-        
-      default:
-        return new Response('Not Found', { status: 404 })
+    const route = routes[`${request.method} ${url.pathname}`]
+    if (!route) {
+      const pathExists = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`))
+      throw pathExists
+        ? new ApiError('method_not_allowed', `${request.method} is not allowed for ${url.pathname}`, 405)
+        : new ApiError('not_found', `Unknown endpoint ${url.pathname}`, 404)
     }
+
+    if (!hasValidBearerToken(request, env.API_TOKEN)) {
+      throw new ApiError('unauthorized', env.API_TOKEN ? 'Invalid or missing bearer token' : 'API_TOKEN is not configured', 401)
+    }
+
+    checkApiRateLimit(env)
+    return jsonResponse({ ok: true, result: await route() })
   } catch (error) {
-    console.error('请求处理错误:', error)
-    
-    // 后台错误记录
-    ctx.waitUntil(
-      sendMessage(env.ADMIN_CHAT_ID, `🚨 系统错误: ${error.message}`, env.BOT_TOKEN)
-        .catch(err => console.error('发送系统错误通知失败:', err))
-    )
-    
-    return new Response('Internal Server Error', { status: 500 })
+    if (error instanceof ApiError) return apiErrorResponse(error)
+    if (error instanceof TelegramAPIError) {
+      return apiErrorResponse(new ApiError('telegram_error', error.description || error.message, 502))
+    }
+
+    console.error('API请求处理错误:', error)
+    return apiErrorResponse(new ApiError('internal_error', 'Internal server error', 500))
   }
 }
 
@@ -651,5 +414,9 @@ async function handleRequest(request, env, ctx) {
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request, env, ctx)
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(handleScheduled(event, env))
   }
 } 
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import worker from './worker.js'
+import { mockTelegram, createEnv, userMessage, toUpdate, ADMIN_CHAT_ID } from './src/testing.js'
+
+const telegram = mockTelegram()
+
+const ctx = { waitUntil() {} }
+
+// 调用管理接口，token 为空时不携带 Authorization
+async function callManagement(method, path, env, token = 'admin-token') {
+  const request = new Request(`https://bot.example.com${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  })
+  return await worker.fetch(request, env, ctx)
+}
+
+// 调用 /api/* 接口
+async function callApi(path, env, init = {}) {
+  const request = new Request(`https://bot.example.com${path}`, {
+    ...init,
+    headers: { Authorization: 'Bearer api-token', ...init.headers }
+  })
+  return await worker.fetch(request, env, ctx)
+}
+
+// 接口限流按分钟计数，临近整分钟时等到下一分钟再开始，避免计数窗口在测试中途切换
+async function waitForFreshMinute() {
+  const secondsLeft = 60 - new Date().getSeconds()
+  if (secondsLeft < 5) await new Promise(resolve => setTimeout(resolve, secondsLeft * 1000 + 100))
+}
+
+test('API：超出每分钟请求数后返回 rate_limited，KV写入失败不影响限流', async () => {
+  await waitForFreshMinute()
+  const env = createEnv({ API_TOKEN: 'api-token', API_RATE_LIMIT: '3' })
+  env.USER_STORAGE.failPut = () => true
+
+  for (let i = 0; i < 3; i++) {
+    const response = await callApi('/api/stats', env)
+    assert.equal(response.status, 200)
+  }
+
+  const response = await callApi('/api/stats', env)
+  assert.equal(response.status, 429)
+  assert.ok(Number(response.headers.get('Retry-After')) > 0)
+  const body = await response.json()
+  assert.equal(body.ok, false)
+  assert.equal(body.error.code, 'rate_limited')
+})
+
+test('管理接口：缺少或错误的令牌返回401，不调用Telegram', async () => {
+  telegram.reset()
+  const env = createEnv({ ADMIN_API_TOKEN: 'admin-token' })
+
+  for (const [method, path] of [['GET', '/setWebhook'], ['GET', '/me'], ['GET', '/webhookInfo'], ['POST', '/deleteWebhook'], ['POST', '/setMyCommands']]) {
+    assert.equal((await callManagement(method, path, env, null)).status, 401, path)
+    assert.equal((await callManagement(method, path, env, 'wrong-token')).status, 401, path)
+  }
+  assert.equal(telegram.calls.length, 0)
+
+  // 未配置 ADMIN_API_TOKEN 时拒绝所有请求
+  const response = await callManagement('GET', '/me', createEnv(), 'anything')
+  assert.equal(response.status, 401)
+  assert.match((await response.json()).description, /ADMIN_API_TOKEN is not configured/)
+})
+
+test('管理接口：设置和删除Webhook', async () => {
+  telegram.reset()
+  const env = createEnv({ ADMIN_API_TOKEN: 'admin-token', WEBHOOK_SECRET: 'hook-secret' })
+
+  const response = await callManagement('POST', '/setWebhook', env)
+  assert.equal(response.status, 200)
+  assert.deepEqual(telegram.callsTo('setWebhook')[0].params, { url: 'https://bot.example.com/webhook', secret_token: 'hook-secret' })
+
+  await callManagement('POST', '/deleteWebhook?drop_pending_updates=true', env)
+  assert.equal(telegram.callsTo('deleteWebhook')[0].params.drop_pending_updates, true)
+})
+
+test('管理接口：setMyCommands 分别注册用户和管理员聊天的命令菜单', async () => {
+  telegram.reset()
+  const env = createEnv({ ADMIN_API_TOKEN: 'admin-token' })
+
+  const response = await callManagement('POST', '/setMyCommands', env)
+  assert.equal((await response.json()).ok, true)
+
+  const calls = telegram.callsTo('setMyCommands')
+  const adminCall = calls.find(call => call.params.scope.type === 'chat')
+  assert.equal(adminCall.params.scope.chat_id, ADMIN_CHAT_ID)
+  assert.ok(adminCall.params.commands.some(command => command.command === 'post'))
+
+  const userCalls = calls.filter(call => call.params.scope.type === 'all_private_chats')
+  assert.ok(userCalls.length >= 2)
+  assert.ok(userCalls.every(call => !call.params.commands.some(command => command.command === 'post')))
+  assert.ok(userCalls.some(call => call.params.language_code === 'en'))
+})
+
+test('管理接口：Webhook 校验密钥', async () => {
+  telegram.reset()
+  const env = createEnv({ WEBHOOK_SECRET: 'hook-secret' })
+  const request = new Request('https://bot.example.com/webhook', {
+    method: 'POST',
+    headers: { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' },
+    body: JSON.stringify({ update_id: 1 })
+  })
+  assert.equal((await worker.fetch(request, env, ctx)).status, 401)
+})
+
+// 向 /webhook 推送更新，等待后台处理完成后返回响应
+async function deliver(update, env) {
+  const pending = []
+  const request = new Request('https://bot.example.com/webhook', { method: 'POST', body: JSON.stringify(update) })
+  const response = await worker.fetch(request, env, { waitUntil: promise => pending.push(promise) })
+  await Promise.all(pending)
+  return response
+}
+
+test('Webhook：重复推送的更新只处理一次', async () => {
+  telegram.reset()
+  const env = createEnv()
+  const update = toUpdate(userMessage(2301, { text: '你好' }))
+
+  assert.equal((await deliver(update, env)).status, 200)
+  assert.equal((await deliver(update, env)).status, 200)
+  assert.equal(telegram.callsTo('sendMessage', ADMIN_CHAT_ID).length, 1)
+})
+
+test('Webhook：处理出错时仍返回200，避免Telegram重复推送', async () => {
+  telegram.reset()
+  const env = createEnv()
+  telegram.respond('sendMessage', () => { throw new Error('network down') })
+
+  const response = await deliver(toUpdate(userMessage(2302, { text: '你好' })), env)
+  telegram.respond('sendMessage', null)
+  assert.equal(response.status, 200)
+})